@@ -0,0 +1,136 @@
+/**
+ * This file contains asteroid belts: thousands of rocks on circular orbits
+ * between two radii, drawn as one InstancedMesh. Each rock's orbit (where it
+ * sits across the belt, its phase, mean motion, inclination and node) is
+ * baked into instance attributes and the vertex shader moves it, so the
+ * whole belt costs one draw call and a single uniform per frame.
+ *
+ * Mean motions come from orbitalOmega in constants.js at the compressed
+ * radius, the same model the planets' orbits are built on, so the belt keeps
+ * the same timing at any layout scale just as they do. Rocks are placed by
+ * their true distance, which leaves the Kirkwood gaps that Jupiter's
+ * resonances clear out.
+ */
+
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { ASTEROID_VERTEX_PARS, ASTEROID_VERTEX } from './shaders.js';
+import { ASTEROID_COUNT, ASTEROID_DETAIL, orbitalOmega } from './constants.js';
+import { createRandom, getSeed } from './random.js';
+
+const DEG = Math.PI / 180;
+const GAP_WIDTH = 0.02;           // half-width of a resonance gap, as a fraction of the belt's true width
+const LUMPINESS = 0.35;           // how far rock vertices are pushed in or out
+
+/**
+ * Creates an asteroid belt
+ * @param {Object} belt Belt definition (see systemConfig.js): inner, outer,
+ *   trueInner, trueOuter, gaps, thickness, count, size, trueSize, color
+ * @param {number} parentMass Mass of the body it orbits
+ * @returns {Object} The belt state
+ */
+export function createAsteroidBelt(belt, parentMass) {
+  const count = Math.min(belt.count || ASTEROID_COUNT, ASTEROID_COUNT);
+  const { inner, outer, trueInner, trueOuter, gaps = [] } = belt;
+  const trueWidth = trueOuter - trueInner;
+  const random = createRandom(`${getSeed()}/belt`);
+
+  const orbits = new Float32Array(count * 4);
+  const nodes = new Float32Array(count);
+  const matrix = new THREE.Matrix4();
+  const rotation = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+  const euler = new THREE.Euler();
+
+  const rocks = createRockGeometry(random);
+  const uniforms = {
+    time:      { value: 0.0 },
+    inner:     { value: inner },
+    outer:     { value: outer },
+    rockScale: { value: belt.size }
+  };
+  const material = new THREE.MeshLambertMaterial({ color: belt.color, flatShading: true });
+  material.onBeforeCompile = shader => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', ASTEROID_VERTEX_PARS)
+      .replace('#include <project_vertex>', ASTEROID_VERTEX);
+  };
+
+  const mesh = new THREE.InstancedMesh(rocks, material, count);
+  for (let i = 0; i < count; i++) {
+    // Place by true distance, skipping the resonance gaps
+    let t;
+    do {
+      t = random();
+    } while (gaps.some(gap => Math.abs(trueInner + t * trueWidth - gap) < GAP_WIDTH * trueWidth));
+
+    const radius = inner + t * (outer - inner);
+    orbits[i * 4] = t;
+    orbits[i * 4 + 1] = random() * 2 * Math.PI;
+    orbits[i * 4 + 2] = orbitalOmega(parentMass, radius);
+    orbits[i * 4 + 3] = (random() - 0.5) * 2 * belt.thickness * DEG;
+    nodes[i] = random() * 2 * Math.PI;
+
+    // Lots of small rocks and a few big ones, each a different shape and way up
+    const size = 0.3 + 1.7 * random() ** 3;
+    scale.set(0.7 + 0.6 * random(), 0.7 + 0.6 * random(), 0.7 + 0.6 * random()).multiplyScalar(size);
+    rotation.setFromEuler(euler.set(random() * 2 * Math.PI, random() * 2 * Math.PI, random() * 2 * Math.PI));
+    mesh.setMatrixAt(i, matrix.compose(origin, rotation, scale));
+  }
+  rocks.setAttribute('aOrbit', new THREE.InstancedBufferAttribute(orbits, 4));
+  rocks.setAttribute('aNode', new THREE.InstancedBufferAttribute(nodes, 1));
+
+  // The instances are placed in the shader, so the bounds three.js would
+  // compute from the instance matrices are meaningless
+  mesh.frustumCulled = false;
+  mesh.name = 'asteroid-belt';
+
+  return { def: belt, mesh, uniforms };
+}
+
+/**
+ * Moves the belt on to a time
+ * @param {Object} belt The belt state
+ * @param {number} time Current scene time
+ */
+export function updateAsteroidBelt(belt, time) {
+  belt.uniforms.time.value = time;
+}
+
+/**
+ * Resizes a belt for a layout scale
+ * @param {Object} belt The belt state
+ * @param {number} inner New inner radius in scene units
+ * @param {number} outer New outer radius in scene units
+ * @param {number} size New rock size in scene units
+ */
+export function setBeltLayout(belt, inner, outer, size) {
+  belt.uniforms.inner.value = inner;
+  belt.uniforms.outer.value = outer;
+  belt.uniforms.rockScale.value = size;
+}
+
+/**
+ * A lumpy unit rock: an icosahedron with its corners pushed in and out.
+ * Corners are merged first so the faces that share one stay joined.
+ * @param {Function} random Seeded random number generator
+ * @returns {THREE.BufferGeometry} The rock geometry
+ */
+function createRockGeometry(random) {
+  const ico = new THREE.IcosahedronGeometry(1, ASTEROID_DETAIL);
+  ico.deleteAttribute('normal');
+  ico.deleteAttribute('uv');
+  const geometry = mergeVertices(ico);
+
+  const position = geometry.attributes.position;
+  const v = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) {
+    v.fromBufferAttribute(position, i);
+    v.multiplyScalar(1 + LUMPINESS * (random() - 0.5));
+    position.setXYZ(i, v.x, v.y, v.z);
+  }
+  geometry.computeVertexNormals();
+  return geometry;
+}
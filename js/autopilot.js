@@ -0,0 +1,400 @@
+/**
+ * This file contains the "travel to body" autopilot. It predicts where the
+ * target will be when we arrive (the target keeps orbiting in sim time while
+ * we fly in real time), steers for a parking spot at a safe standoff from
+ * that point using the ship's normal thrust model, then holds station there.
+ * Any manual flight input hands control back to the pilot.
+ *
+ * It can also fly to a fixed waypoint (set from the minimap), which it
+ * simply flies to and stops at.
+ */
+
+import * as THREE from 'three';
+import { SCENE_TIME_SCALE } from './constants.js';
+import {
+  predictBodyPosition,
+  bodyWorldVelocity
+} from './celestialBodies.js';
+import { getActiveShip, getShipVelocity, flight, BOOST_FACTOR } from './xwing.js';
+import { getAction } from './input.js';
+
+// Any of these above the threshold cancels the autopilot
+const MANUAL_ACTIONS = [
+  'thrustForward', 'thrustBack', 'strafeLeft', 'strafeRight',
+  'thrustUp', 'thrustDown', 'yawLeft', 'yawRight',
+  'pitchUp', 'pitchDown', 'rollLeft', 'rollRight'
+];
+const MANUAL_THRESHOLD = 0.2;
+
+const STANDOFF_RADII = 3;         // parking distance in body radii...
+const STANDOFF_MARGIN = 5;        // ...plus this many units
+const REPLAN_INTERVAL = 0.5;      // seconds between intercept updates
+const INTERCEPT_ITERATIONS = 6;
+const ARRIVAL_DISTANCE = 1.5;     // units from the parking spot that count as there
+const ARRIVAL_SPEED = 1.0;        // relative speed below which we park
+const BRAKING_MARGIN = 0.8;       // fraction of the ideal braking speed we allow
+const TRACK_SEGMENTS = 32;        // points on the drawn target track
+
+// Scratch objects so the per-frame path doesn't allocate
+const _bodyPos = new THREE.Vector3();
+const _bodyVel = new THREE.Vector3();
+const _toAim = new THREE.Vector3();
+const _desired = new THREE.Vector3();
+const _relVel = new THREE.Vector3();
+const _shift = new THREE.Vector3();
+const _prev = new THREE.Vector3();
+
+/**
+ * Creates the autopilot along with its planned-path visuals
+ * @param {THREE.Scene} scene The scene to draw the planned path in
+ * @param {THREE.Object3D} ship The player ship
+ * @param {Object} clock The simulation clock
+ * @returns {Object} The autopilot state
+ */
+export function createAutopilot(scene, ship, clock) {
+  const pathMat = new THREE.LineBasicMaterial({ color: 0x44ddff, transparent: true, opacity: 0.8 });
+  const path = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+    pathMat
+  );
+  const track = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(
+      Array.from({ length: TRACK_SEGMENTS + 1 }, () => new THREE.Vector3())
+    ),
+    new THREE.LineDashedMaterial({ color: 0x44ddff, dashSize: 3, gapSize: 2, transparent: true, opacity: 0.5 })
+  );
+  // The dashes need distances along the line; filled in as the track moves
+  track.geometry.setAttribute('lineDistance',
+    new THREE.Float32BufferAttribute(new Float32Array(TRACK_SEGMENTS + 1), 1));
+  const marker = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 12, 8),
+    new THREE.MeshBasicMaterial({ color: 0x44ddff, wireframe: true })
+  );
+  for (const obj of [path, track, marker]) {
+    obj.visible = false;
+    obj.frustumCulled = false;
+    scene.add(obj);
+  }
+
+  const status = document.createElement('div');
+  status.className = 'panel autopilot-status';
+  status.hidden = true;
+  document.body.appendChild(status);
+
+  return {
+    ship,
+    clock,
+    target: null,                               // body we're flying to, or
+    waypoint: null,                             // a fixed point instead
+    phase: 'off',                               // 'off' | 'cruise' | 'hold'
+    standoffDir: new THREE.Vector3(),           // body -> parking spot
+    aim: new THREE.Vector3(),                   // predicted parking spot
+    eta: 0,
+    outpaced: false,                            // target moving faster than we can fly
+    replanTimer: 0,
+    command: {
+      thrust: new THREE.Vector3(),
+      face: new THREE.Vector3(0, 0, 1),
+      boost: true,
+      hold: false
+    },
+    lastBodyPos: new THREE.Vector3(),
+    path,
+    track,
+    marker,
+    status
+  };
+}
+
+/**
+ * Starts flying to a body
+ * @param {Object} ap The autopilot
+ * @param {Object} body Target body from the system
+ */
+export function engageAutopilot(ap, body) {
+  ap.target = body;
+  ap.waypoint = null;
+  startCruise(ap);
+}
+
+/**
+ * Starts flying to a fixed point
+ * @param {Object} ap The autopilot
+ * @param {THREE.Vector3} point World-space waypoint (kept by reference)
+ */
+export function engageAutopilotToPoint(ap, point) {
+  ap.target = null;
+  ap.waypoint = point;
+  startCruise(ap);
+}
+
+/**
+ * Engages on a body, or disengages if already flying
+ * @param {Object} ap The autopilot
+ * @param {Object|null} body Body to fly to (e.g. the current selection)
+ */
+export function toggleAutopilot(ap, body) {
+  if (ap.phase !== 'off') {
+    disengageAutopilot(ap);
+  } else if (body) {
+    engageAutopilot(ap, body);
+  }
+}
+
+/**
+ * Hands control back to the pilot
+ * @param {Object} ap The autopilot
+ */
+export function disengageAutopilot(ap) {
+  ap.phase = 'off';
+  ap.target = null;
+  ap.waypoint = null;
+  setVisualsVisible(ap, false);
+  ap.status.hidden = true;
+}
+
+/**
+ * Runs the autopilot for a frame. Call after pollInput and before updateXWing.
+ * @param {Object} ap The autopilot
+ * @param {number} delta Real seconds since the last frame
+ * @param {number} time Current scene time
+ * @returns {Object|null} Command for updateXWing, or null when off
+ */
+export function updateAutopilot(ap, delta, time) {
+  if (ap.phase === 'off') return null;
+
+  for (const action of MANUAL_ACTIONS) {
+    if (getAction(action) > MANUAL_THRESHOLD) {
+      disengageAutopilot(ap);
+      return null;
+    }
+  }
+
+  const ship = ap.ship;
+  const velocity = getShipVelocity();
+  const sceneRate = ap.clock.paused ? 0 : ap.clock.rate * SCENE_TIME_SCALE;   // scene s per real s
+
+  targetPosition(ap, _bodyPos);
+  targetVelocity(ap, _bodyVel).multiplyScalar(sceneRate);                   // units per real second
+
+  if (ap.phase === 'hold') {
+    // Ride along with the body at the parking spot
+    _shift.subVectors(_bodyPos, ap.lastBodyPos);
+    if (flight.model === 'arcade') _shift.y = 0;
+    ship.position.add(_shift);
+    velocity.copy(_bodyVel);
+    if (flight.model === 'arcade') velocity.y = 0;
+    ap.lastBodyPos.copy(_bodyPos);
+    ap.command.hold = true;
+    ap.command.thrust.set(0, 0, 0);
+    updateVisuals(ap, time, sceneRate);
+    return ap.command;
+  }
+
+  const handling = getActiveShip().handling;
+  const maxSpeed = handling.maxVelocity * BOOST_FACTOR * flight.speedScale;
+  const accel = handling.acceleration * BOOST_FACTOR * flight.speedScale;
+  ap.outpaced = _bodyVel.length() > maxSpeed;
+
+  ap.replanTimer -= delta;
+  if (ap.replanTimer <= 0) {
+    planIntercept(ap, time, sceneRate, maxSpeed, accel);
+    ap.replanTimer = REPLAN_INTERVAL;
+  }
+
+  // Distance left to the live parking spot decides arrival
+  const standoff = standoffDistance(ap);
+  _toAim.copy(_bodyPos).addScaledVector(ap.standoffDir, standoff).sub(ship.position);
+  if (flight.model === 'arcade') _toAim.y = 0;
+  _relVel.subVectors(velocity, _bodyVel);
+
+  if (_toAim.length() < ARRIVAL_DISTANCE && _relVel.length() < ARRIVAL_SPEED) {
+    ap.phase = 'hold';
+    ap.lastBodyPos.copy(_bodyPos);
+    updateStatus(ap);
+    return updateAutopilot(ap, 0, time);
+  }
+
+  // Steer for the predicted spot, slowing so we can still stop in time,
+  // and blend in the target's own velocity as we close in
+  _toAim.subVectors(ap.aim, ship.position);
+  if (flight.model === 'arcade') _toAim.y = 0;
+  const dist = _toAim.length();
+  const speed = Math.min(maxSpeed, Math.sqrt(2 * accel * dist) * BRAKING_MARGIN);
+  _desired.copy(_toAim).normalize().multiplyScalar(speed).add(_bodyVel);
+
+  // Thrust toward whatever velocity change is still needed
+  const command = ap.command;
+  command.hold = false;
+  command.thrust.subVectors(_desired, velocity).divideScalar(accel * 0.25);
+  if (command.thrust.length() > 1) command.thrust.normalize();
+  if (dist > 1e-3) command.face.copy(_toAim).normalize();
+
+  updateVisuals(ap, time, sceneRate);
+  updateStatus(ap);
+  return command;
+}
+
+/**
+ * Works out where to meet the target. Iterates: guess a flight time,
+ * see where the target will be by then, re-estimate the flight time.
+ * @param {Object} ap The autopilot
+ * @param {number} time Current scene time
+ * @param {number} sceneRate Scene seconds per real second
+ * @param {number} maxSpeed Cruise speed (units/s)
+ * @param {number} accel Acceleration (units/s²)
+ */
+function planIntercept(ap, time, sceneRate, maxSpeed, accel) {
+  const shipPos = ap.ship.position;
+  const standoff = standoffDistance(ap);
+  let eta = 0;
+
+  for (let i = 0; i < INTERCEPT_ITERATIONS; i++) {
+    predictTarget(ap, time + eta * sceneRate, time, ap.aim);
+    ap.aim.addScaledVector(ap.standoffDir, standoff);
+    if (flight.model === 'arcade') ap.aim.y = 0;
+    eta = travelTime(shipPos.distanceTo(ap.aim), maxSpeed, accel);
+  }
+
+  ap.eta = eta;
+}
+
+/**
+ * Time to cover a distance from rest to rest with a trapezoidal speed profile
+ * @param {number} dist Distance (units)
+ * @param {number} maxSpeed Cruise speed (units/s)
+ * @param {number} accel Acceleration (units/s²)
+ * @returns {number} Seconds
+ */
+function travelTime(dist, maxSpeed, accel) {
+  const rampDist = maxSpeed * maxSpeed / accel;     // speeding up + slowing down
+  if (dist < rampDist) return 2 * Math.sqrt(dist / accel);
+  return (dist - rampDist) / maxSpeed + 2 * maxSpeed / accel;
+}
+
+/**
+ * Sets off toward the current target
+ * @param {Object} ap The autopilot
+ */
+function startCruise(ap) {
+  ap.phase = 'cruise';
+  ap.replanTimer = 0;
+
+  // Park on the side of the target we're approaching from
+  targetPosition(ap, _bodyPos);
+  ap.standoffDir.subVectors(ap.ship.position, _bodyPos);
+  if (flight.model === 'arcade') ap.standoffDir.y = 0;
+  if (ap.standoffDir.lengthSq() < 1e-6) ap.standoffDir.set(0, 0, 1);
+  ap.standoffDir.normalize();
+
+  setVisualsVisible(ap, true);
+  ap.status.hidden = false;
+}
+
+/**
+ * Where the target is now
+ * @param {Object} ap The autopilot
+ * @param {THREE.Vector3} out Vector to write the position into
+ * @returns {THREE.Vector3} World position
+ */
+function targetPosition(ap, out) {
+  return ap.waypoint ? out.copy(ap.waypoint) : ap.target.anchor.getWorldPosition(out);
+}
+
+/**
+ * How fast the target is moving
+ * @param {Object} ap The autopilot
+ * @param {THREE.Vector3} out Vector to write the velocity into
+ * @returns {THREE.Vector3} Velocity in scene units per scene second
+ */
+function targetVelocity(ap, out) {
+  return ap.waypoint ? out.set(0, 0, 0) : bodyWorldVelocity(ap.target, out);
+}
+
+/**
+ * Where the target will be at another scene time
+ * @param {Object} ap The autopilot
+ * @param {number} time Scene time to predict for
+ * @param {number} now Current scene time
+ * @param {THREE.Vector3} out Vector to write the position into
+ * @returns {THREE.Vector3} World position
+ */
+function predictTarget(ap, time, now, out) {
+  return ap.waypoint ? out.copy(ap.waypoint) : predictBodyPosition(ap.target, time, now, out);
+}
+
+/**
+ * How far from the target's centre the autopilot parks
+ * @param {Object} ap The autopilot
+ * @returns {number} Distance in units
+ */
+function standoffDistance(ap) {
+  if (ap.waypoint) return 0;
+  return ap.target.radius * STANDOFF_RADII + STANDOFF_MARGIN;
+}
+
+/**
+ * Refreshes the planned path, the target's predicted track and the marker
+ * @param {Object} ap The autopilot
+ * @param {number} time Current scene time
+ * @param {number} sceneRate Scene seconds per real second
+ */
+function updateVisuals(ap, time, sceneRate) {
+  const holding = ap.phase === 'hold';
+  ap.path.visible = !holding;
+  ap.track.visible = !holding;
+
+  const pathPos = ap.path.geometry.attributes.position;
+  pathPos.setXYZ(0, ap.ship.position.x, ap.ship.position.y, ap.ship.position.z);
+  pathPos.setXYZ(1, ap.aim.x, ap.aim.y, ap.aim.z);
+  pathPos.needsUpdate = true;
+
+  if (holding) {
+    ap.marker.position.copy(ap.ship.position);
+    return;
+  }
+  ap.marker.position.copy(ap.aim);
+
+  // Where the target itself goes between now and our arrival, with the
+  // running distance along it for the dashes
+  const { position: trackPos, lineDistance } = ap.track.geometry.attributes;
+  let distance = 0;
+  for (let i = 0; i <= TRACK_SEGMENTS; i++) {
+    const t = time + (i / TRACK_SEGMENTS) * ap.eta * sceneRate;
+    predictTarget(ap, t, time, _shift);
+    if (i > 0) distance += _shift.distanceTo(_prev);
+    trackPos.setXYZ(i, _shift.x, _shift.y, _shift.z);
+    lineDistance.setX(i, distance);
+    _prev.copy(_shift);
+  }
+  trackPos.needsUpdate = true;
+  lineDistance.needsUpdate = true;
+}
+
+/**
+ * Updates the status line, touching the DOM only on change
+ * @param {Object} ap The autopilot
+ */
+function updateStatus(ap) {
+  const name = ap.waypoint ? 'waypoint' : ap.target.def.label;
+  let text;
+  if (ap.phase === 'hold') {
+    text = `Autopilot: holding at ${name}`;
+  } else if (ap.outpaced) {
+    text = `Autopilot → ${name} · can't catch it at this time rate`;
+  } else {
+    text = `Autopilot → ${name} · ETA ${Math.ceil(ap.eta)} s`;
+  }
+  if (ap.status.textContent !== text) ap.status.textContent = text;
+}
+
+/**
+ * Shows or hides all of the autopilot's scene objects
+ * @param {Object} ap The autopilot
+ * @param {boolean} visible Whether to show them
+ */
+function setVisualsVisible(ap, visible) {
+  ap.path.visible = visible;
+  ap.track.visible = visible;
+  ap.marker.visible = visible;
+}
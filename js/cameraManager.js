@@ -0,0 +1,246 @@
+/**
+ * This file contains the camera manager. The camera can chase the ship,
+ * sit in its cockpit, orbit freely around a body with OrbitControls, or lock
+ * onto a body and ride along its orbit. Switching modes eases from the old
+ * view to the new one instead of snapping.
+ */
+
+import * as THREE from 'three';
+import { flight, getActiveShip } from './xwing.js';
+import { wasPressed } from './input.js';
+
+export const CAMERA_MODES = ['chase', 'cockpit', 'orbit', 'lock'];
+
+const TRANSITION_TIME = 1.0;      // seconds to ease between modes
+const VIEW_DISTANCE = 6;          // orbit/lock distance in body radii
+
+// Scratch objects so the per-frame path doesn't allocate
+const _pos = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _mat = new THREE.Matrix4();
+const _bodyPos = new THREE.Vector3();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const FLIP_Y = new THREE.Quaternion().setFromAxisAngle(WORLD_UP, Math.PI);
+
+/**
+ * Creates the camera manager
+ * @param {THREE.PerspectiveCamera} camera The scene camera
+ * @param {OrbitControls} controls Orbit controls bound to the camera
+ * @param {THREE.Object3D} ship The player ship
+ * @param {Object} system The system returned by createSolarSystem
+ * @returns {Object} The camera manager state
+ */
+export function createCameraManager(camera, controls, ship, system) {
+  controls.enabled = false;
+
+  return {
+    camera,
+    controls,
+    ship,
+    system,
+    mode: 'chase',
+    target: system.byName.earth || system.bodies[0],   // body for orbit/lock
+    orbitOffset: new THREE.Vector3(),                  // camera - body in orbit mode
+    targetRadius: 0,                                   // target's radius when orbit mode began
+    blend: 1,                                          // 0..1 progress of a transition
+    fromPos: new THREE.Vector3(),
+    fromQuat: new THREE.Quaternion()
+  };
+}
+
+/**
+ * Switches camera mode, easing from the current view
+ * @param {Object} cam The camera manager
+ * @param {string} mode One of CAMERA_MODES
+ */
+export function setCameraMode(cam, mode) {
+  if (mode === cam.mode) return;
+  leaveMode(cam);
+  cam.mode = mode;
+  startTransition(cam);
+}
+
+/**
+ * Points the orbit/lock modes at another body, easing over to it
+ * @param {Object} cam The camera manager
+ * @param {Object} body A body from the system
+ */
+export function setCameraTarget(cam, body) {
+  if (body === cam.target) return;
+  cam.target = body;
+  if (cam.mode === 'orbit' || cam.mode === 'lock') {
+    leaveMode(cam);
+    startTransition(cam);
+  }
+}
+
+/**
+ * Moves the camera for this frame. Call after the ship and bodies update.
+ * @param {Object} cam The camera manager
+ * @param {number} delta Real seconds since the last frame
+ */
+export function updateCamera(cam, delta) {
+  if (wasPressed('cycleCamera')) {
+    const next = (CAMERA_MODES.indexOf(cam.mode) + 1) % CAMERA_MODES.length;
+    setCameraMode(cam, CAMERA_MODES[next]);
+  }
+  if (wasPressed('cycleCameraTarget')) {
+    const bodies = cam.system.bodies;
+    setCameraTarget(cam, bodies[(bodies.indexOf(cam.target) + 1) % bodies.length]);
+  }
+
+  const { camera, controls } = cam;
+
+  // Hide the ship model from the inside
+  cam.ship.visible = cam.mode !== 'cockpit';
+
+  if (cam.mode === 'orbit' && cam.blend >= 1) {
+    // Free orbit: carry the camera along with the body, let the user do the rest
+    cam.target.anchor.getWorldPosition(_bodyPos);
+    if (cam.target.radius !== cam.targetRadius) rescaleOrbit(cam);
+    camera.position.copy(_bodyPos).add(cam.orbitOffset);
+    controls.target.copy(_bodyPos);
+    controls.update();
+    cam.orbitOffset.subVectors(camera.position, _bodyPos);
+    return;
+  }
+
+  computeTargetView(cam, _pos, _quat);
+
+  if (cam.blend < 1) {
+    cam.blend = Math.min(1, cam.blend + delta / TRANSITION_TIME);
+    const s = cam.blend * cam.blend * (3 - 2 * cam.blend);     // smoothstep ease
+    camera.position.lerpVectors(cam.fromPos, _pos, s);
+    camera.quaternion.slerpQuaternions(cam.fromQuat, _quat, s);
+
+    if (cam.blend >= 1 && cam.mode === 'orbit') enterOrbitControls(cam);
+  } else {
+    camera.position.copy(_pos);
+    camera.quaternion.copy(_quat);
+  }
+}
+
+/**
+ * Works out where the current mode wants the camera
+ * @param {Object} cam The camera manager
+ * @param {THREE.Vector3} pos Target for the camera position
+ * @param {THREE.Quaternion} quat Target for the camera orientation
+ */
+function computeTargetView(cam, pos, quat) {
+  const ship = cam.ship;
+  const shipDef = getActiveShip();
+
+  if (cam.mode === 'chase') {
+    // Behind and above the ship; in 6-DOF the camera rolls with it
+    pos.fromArray(shipDef.cameraOffset).applyQuaternion(ship.quaternion).add(ship.position);
+    if (flight.model === '6dof') {
+      _up.copy(WORLD_UP).applyQuaternion(ship.quaternion);
+    } else {
+      _up.copy(WORLD_UP);
+    }
+    lookRotation(pos, ship.position, _up, quat);
+  } else if (cam.mode === 'cockpit') {
+    // Looking out of the nose (ship forward is +z, cameras look down -z)
+    pos.fromArray(shipDef.cockpitOffset).applyQuaternion(ship.quaternion).add(ship.position);
+    quat.copy(ship.quaternion).multiply(FLIP_Y);
+  } else {
+    cam.target.anchor.getWorldPosition(_bodyPos);
+    if (cam.mode === 'orbit') {
+      pos.copy(_bodyPos).add(cam.orbitOffset);
+    } else {
+      bodyViewOffset(cam.target, _bodyPos, pos).add(_bodyPos);
+    }
+    lookRotation(pos, _bodyPos, WORLD_UP, quat);
+  }
+}
+
+/**
+ * Offset for viewing a body: from its sunlit side and a little above,
+ * so a planet or moon is seen lit rather than as a silhouette
+ * @param {Object} body The body to view
+ * @param {THREE.Vector3} bodyPos Its world position
+ * @param {THREE.Vector3} out Vector to write the offset into
+ * @returns {THREE.Vector3} The offset
+ */
+function bodyViewOffset(body, bodyPos, out) {
+  const distance = body.radius * VIEW_DISTANCE;
+
+  if (bodyPos.lengthSq() > 0) {
+    out.copy(bodyPos).negate().normalize();
+  } else {
+    out.set(0, 0, 1);
+  }
+  return out.multiplyScalar(distance).addScaledVector(WORLD_UP, distance * 0.3);
+}
+
+/**
+ * Orientation that looks from one point at another
+ * @param {THREE.Vector3} eye Camera position
+ * @param {THREE.Vector3} target Point to look at
+ * @param {THREE.Vector3} up Up direction
+ * @param {THREE.Quaternion} out Quaternion to write into
+ * @returns {THREE.Quaternion} The orientation
+ */
+function lookRotation(eye, target, up, out) {
+  _mat.lookAt(eye, target, up);
+  return out.setFromRotationMatrix(_mat);
+}
+
+/**
+ * Remembers the current view as the start of a transition
+ * @param {Object} cam The camera manager
+ */
+function startTransition(cam) {
+  cam.fromPos.copy(cam.camera.position);
+  cam.fromQuat.copy(cam.camera.quaternion);
+  cam.blend = 0;
+
+  if (cam.mode === 'orbit') {
+    cam.target.anchor.getWorldPosition(_bodyPos);
+    bodyViewOffset(cam.target, _bodyPos, cam.orbitOffset);
+  }
+}
+
+/**
+ * Hands the camera to OrbitControls once the ease into orbit mode is done
+ * @param {Object} cam The camera manager
+ */
+function enterOrbitControls(cam) {
+  const { controls } = cam;
+  controls.target.copy(_bodyPos);
+  setOrbitLimits(cam);
+  cam.camera.up.copy(WORLD_UP);
+  controls.enabled = true;
+  controls.update();
+}
+
+/**
+ * Keeps the orbit view the same size relative to its body when the body
+ * is resized (the layout scale slider)
+ * @param {Object} cam The camera manager
+ */
+function rescaleOrbit(cam) {
+  cam.orbitOffset.multiplyScalar(cam.target.radius / cam.targetRadius);
+  setOrbitLimits(cam);
+}
+
+/**
+ * Sets the OrbitControls zoom limits from the target's radius
+ * @param {Object} cam The camera manager
+ */
+function setOrbitLimits(cam) {
+  const { controls, target } = cam;
+  controls.minDistance = target.radius * 1.5;
+  controls.maxDistance = target.radius * 60;
+  cam.targetRadius = target.radius;
+}
+
+/**
+ * Tidies up whatever the current mode was doing
+ * @param {Object} cam The camera manager
+ */
+function leaveMode(cam) {
+  cam.controls.enabled = false;
+  cam.camera.up.copy(WORLD_UP);
+}
@@ -4,34 +4,205 @@
 import * as THREE from 'three';
 import { 
   SUN_VERTEX_SHADER, 
-  SUN_FRAGMENT_SHADER 
+  SUN_FRAGMENT_SHADER,
+  EARTH_VERTEX_SHADER,
+  EARTH_FRAGMENT_SHADER,
+  ATMOSPHERE_VERTEX_SHADER,
+  ATMOSPHERE_FRAGMENT_SHADER,
+  ECLIPSE_VERTEX_PARS,
+  ECLIPSE_VERTEX,
+  ECLIPSE_FRAGMENT_PARS,
+  ECLIPSE_FRAGMENT,
+  RING_VERTEX_SHADER,
+  RING_FRAGMENT_SHADER
 } from './shaders.js';
-import { 
-  SOLAR_MASS, 
-  EARTH_MASS, 
-  ORBIT_RADIUS, 
-  MOON_SCALE, 
-  MOON_ORBIT_RADIUS,
-  ORB_G,
-  ORBIT_SEGMENTS
+import {
+  ORBIT_SEGMENTS,
+  SCENE_TIME_SCALE,
+  MAX_ECLIPSE_OCCLUDERS,
+  MAX_RING_GAPS
 } from './constants.js';
+import {
+  prepareElements,
+  setOrientation,
+  orbitalState,
+  orbitPoints,
+  eclipticToScene
+} from './orbits.js';
+import { J2000, elementsAt, eclipticPosition } from './ephemeris.js';
+import { prepareRotation, orientationAt } from './rotation.js';
+import { createSolarActivity, updateSolarActivity } from './sun.js';
+import { createAsteroidBelt, updateAsteroidBelt } from './asteroidBelt.js';
+import { DEFAULT_SYSTEM } from './systemConfig.js';
+
+const texLoader = new THREE.TextureLoader();
+const MAX_ANISO = 16;       // improve sampling on glancing angles
+const SECONDS_PER_DAY = 86400;
+const DEG = Math.PI / 180;
+const ORBIT_REDRAW_DAYS = 365;  // ephemeris orbits drift slowly; redraw lines this often
+
+/**
+ * Builds the body hierarchy described by a system config. Parents must be
+ * listed before their children.
+ * @param {Array<Object>} config Body definitions (see systemConfig.js)
+ * @returns {Object} The system: root object, ordered body list, lookup by
+ *   name, and a layout version that goes up whenever the radii and orbits
+ *   are resized
+ */
+export function createSolarSystem(config = DEFAULT_SYSTEM) {
+  const root = new THREE.Object3D();
+  const bodies = [];
+  const byName = {};
+
+  for (const def of config) {
+    const parent = def.parent ? byName[def.parent] : null;
+    if (def.parent && !parent) {
+      throw new Error(`Body "${def.name}" orbits unknown parent "${def.parent}"`);
+    }
+
+    const body = createBody(def, parent);
+    const container = parent ? parent.anchor : root;
+    container.add(body.anchor);
+    if (body.orbitLine) container.add(body.orbitLine);
+
+    if (parent) parent.children.push(body);
+    bodies.push(body);
+    byName[def.name] = body;
+  }
+
+  // Shaders that do their own lighting need the Sun where it is at render
+  // time, after the floating origin has shifted everything, and so do the
+  // eclipse shadows, along with the bodies that cast them
+  const star = bodies.find(body => body.def.type === 'star');
+  if (star) {
+    for (const body of bodies) {
+      const casters = shadowCasters(body);
+      // Anything hung off the mesh (rings) sits in the body's own shadow too
+      const around = [body, ...casters].slice(0, MAX_ECLIPSE_OCCLUDERS);
+      body.mesh.traverse(obj => {
+        const uniforms = obj.material && (obj.material.uniforms || obj.material.userData.uniforms);
+        if (uniforms && uniforms.sunPosition) {
+          const shadows = obj === body.mesh ? casters : around;
+          obj.onBeforeRender = () => setLightingUniforms(uniforms, star, shadows);
+        }
+      });
+    }
+  }
+
+  return { root, bodies, byName, layoutVersion: 0 };
+}
+
+/**
+ * The bodies that can come between a body and the Sun: its planet, its
+ * moons, and the other moons of its planet. Planets never line up closely
+ * enough to shadow one another.
+ * @param {Object} body A body from the system
+ * @returns {Array<Object>} The bodies, at most MAX_ECLIPSE_OCCLUDERS of them
+ */
+function shadowCasters(body) {
+  const { parent } = body;
+  const casters = [...body.children];
+  if (parent && parent.def.type !== 'star') {
+    casters.push(parent, ...parent.children.filter(sibling => sibling !== body));
+  }
+  return casters.slice(0, MAX_ECLIPSE_OCCLUDERS);
+}
+
+/**
+ * Uniforms for eclipseShadow (see shaders.js)
+ * @returns {Object} sunPosition, sunRadius, occluders and occluderCount
+ */
+function createEclipseUniforms() {
+  return {
+    sunPosition:   { value: new THREE.Vector3() },
+    sunRadius:     { value: 1.0 },
+    occluders:     { value: Array.from({ length: MAX_ECLIPSE_OCCLUDERS }, () => new THREE.Vector4()) },
+    occluderCount: { value: 0 }
+  };
+}
+
+/**
+ * Points a material's lighting uniforms at the Sun and its shadow casters,
+ * from their world matrices as they are for this render
+ * @param {Object} uniforms The material's uniforms
+ * @param {Object} star The Sun
+ * @param {Array<Object>} casters Bodies that can shadow this one
+ */
+function setLightingUniforms(uniforms, star, casters) {
+  uniforms.sunPosition.value.setFromMatrixPosition(star.mesh.matrixWorld);
+  if (!uniforms.occluders) return;
+
+  uniforms.sunRadius.value = star.radius;
+  casters.forEach((caster, i) => {
+    uniforms.occluders.value[i].setFromMatrixPosition(caster.anchor.matrixWorld).setW(caster.radius);
+  });
+  uniforms.occluderCount.value = casters.length;
+}
+
+/**
+ * Creates a single body: an anchor that follows the orbit, and a mesh under
+ * it that spins. Children hang off the anchor so they don't inherit the spin.
+ * @param {Object} def Body definition
+ * @param {Object|null} parent The parent body, or null for the root star
+ * @returns {Object} The body
+ */
+function createBody(def, parent) {
+  const anchor = new THREE.Object3D();
+  const mesh = def.type === 'star' ? createSun(def.radius) : createPlanet(def);
+  anchor.add(mesh);
+
+  // Corona and prominences
+  const activity = def.type === 'star' ? createSolarActivity(mesh, def) : null;
+
+  // A belt of small bodies orbits with the body's children, so off the anchor
+  const belt = def.belt ? createAsteroidBelt(def.belt, def.mass) : null;
+  if (belt) anchor.add(belt.mesh);
+
+  const elements = parent ? prepareElements(def.orbit, parent.def.mass) : null;
+  const rotation = def.rotation ? prepareRotation(def.rotation) : null;
+
+  const body = {
+    name: def.name,
+    def,
+    parent,
+    children: [],
+    anchor,
+    mesh,
+    radius: def.radius,                 // current radius; follows the layout scale
+    elements,
+    rotation,
+    activity,
+    belt,
+    spin: new THREE.Vector3(),          // angular velocity (radians per scene second)
+    velocity: new THREE.Vector3(),      // relative to the parent
+    integrated: false,                  // true while gravity.js moves it instead
+    orbitDate: -Infinity,               // Julian date the orbit line was last drawn for
+    orbitLine: elements && def.showOrbit ? createOrbitLine(elements) : null
+  };
+
+  // Lets raycast hits find their way back to the body
+  mesh.userData.body = body;
+  return body;
+}
 
 /**
  * Creates the Sun mesh with custom shader material
+ * @param {number} radius Sun radius in scene units
  * @returns {THREE.Mesh} The Sun mesh
  */
-export function createSun() {
+export function createSun(radius = 32) {
   const sunMaterial = new THREE.ShaderMaterial({
     uniforms: {
       time:  { value: 0.0 },
       scale: { value: 2.0 },   // controls granule size
-      speed: { value: 0.5 }    // animation speed
+      speed: { value: 0.5 },   // animation speed
+      limbDarkening: { value: new THREE.Vector3(0.45, 0.6, 0.8) }   // red, green, blue
     },
     vertexShader: SUN_VERTEX_SHADER,
     fragmentShader: SUN_FRAGMENT_SHADER
   });
   
-  const sunGeometry = new THREE.SphereGeometry(32, 128, 128);
+  const sunGeometry = new THREE.SphereGeometry(radius, 128, 128);
   const sunMesh = new THREE.Mesh(sunGeometry, sunMaterial);
   sunMesh.position.set(0, 0, 0);
   
@@ -44,48 +215,224 @@ export function createSun() {
 }
 
 /**
- * Creates the Earth mesh with textures
- * @returns {THREE.Mesh} The Earth mesh
+ * Creates a planet or moon mesh from its definition
+ * @param {Object} def Body definition
+ * @returns {THREE.Mesh} The body mesh
  */
-export function createEarth() {
-  const earthGeo = new THREE.SphereGeometry(4.0, 128, 128);
-  const texLoader = new THREE.TextureLoader();
-  const colorMap = texLoader.load('earth-day.jpg');
-  const topoMap = texLoader.load('earth-topography.jpg');
-  const maxAniso = 16;
+export function createPlanet(def) {
+  // sphere segments can stay modest for the small ones
+  const segments = def.radius < 2 ? 64 : 128;
+  const geo = new THREE.SphereGeometry(def.radius, segments, segments);
 
-  // Improve sampling on glancing angles
-  colorMap.anisotropy = maxAniso;
-  topoMap.anisotropy = maxAniso;
+  if (def.material === 'earth') {
+    const mesh = new THREE.Mesh(geo, createEarthMaterial(def));
+    mesh.name = def.name;
+    if (def.atmosphere) mesh.add(createAtmosphere(def));
+    return mesh;
+  }
 
-  const earthMat = new THREE.MeshPhongMaterial({
-    map: colorMap,
-    bumpMap: topoMap,
-    bumpScale: 0.05,           // how "bumpy" the topography looks
-    emissive: 0x002244,
-    emissiveIntensity: 0.2,
+  const params = {};
+  if (def.texture) {
+    params.map = loadTexture(def.texture);
+  } else {
+    params.color = def.color !== undefined ? def.color : 0xffffff;
+  }
+  if (def.bumpMap) {
+    params.bumpMap = loadTexture(def.bumpMap);
+    params.bumpScale = def.bumpScale !== undefined ? def.bumpScale : 0.05;
+  }
+
+  let mat;
+  if (def.material === 'lambert') {
+    mat = new THREE.MeshLambertMaterial(params);
+  } else {
+    if (def.emissive !== undefined) {
+      params.emissive = def.emissive;
+      params.emissiveIntensity = def.emissiveIntensity || 1.0;
+    }
+    mat = new THREE.MeshPhongMaterial(params);
+  }
+  addEclipseShadows(mat);
+
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.name = def.name;
+  if (def.rings) mesh.add(createRings(def));
+  return mesh;
+}
+
+/**
+ * Creates the Earth's shader material (see EARTH_FRAGMENT_SHADER). Every map
+ * is optional: until one loads, or if it never does, the shader fills in
+ * procedurally.
+ * @param {Object} def Body definition
+ * @returns {THREE.ShaderMaterial} The material
+ */
+function createEarthMaterial(def) {
+  const uniforms = {
+    ...createEclipseUniforms(),
+    time:        { value: 0.0 },
+    cloudSpeed:  { value: def.cloudSpeed !== undefined ? def.cloudSpeed : 0.002 },
+    bumpScale:   { value: def.bumpScale !== undefined ? def.bumpScale : 0.05 }
+  };
+
+  const maps = {
+    dayMap: def.texture,
+    nightMap: def.nightMap,
+    cloudMap: def.cloudMap,
+    waterNormalMap: def.waterNormalMap,
+    topographyMap: def.bumpMap
+  };
+  for (const [name, url] of Object.entries(maps)) {
+    const flag = `has${name[0].toUpperCase()}${name.slice(1)}`;
+    uniforms[name] = { value: null };
+    uniforms[flag] = { value: 0.0 };
+    if (url) {
+      loadOptionalTexture(url, tex => {
+        uniforms[name].value = tex;
+        uniforms[flag].value = 1.0;
+      });
+    }
+  }
+
+  return new THREE.ShaderMaterial({
+    uniforms,
+    defines: { MAX_OCCLUDERS: MAX_ECLIPSE_OCCLUDERS },
+    vertexShader: EARTH_VERTEX_SHADER,
+    fragmentShader: EARTH_FRAGMENT_SHADER
   });
-  
-  return new THREE.Mesh(earthGeo, earthMat);
 }
 
 /**
- * Creates the Earth's orbit visualization
- * @returns {THREE.LineLoop} The orbit line
+ * Patches a built-in lit material so other bodies can eclipse it (see
+ * ECLIPSE_FRAGMENT). The uniforms live in userData for createSolarSystem to
+ * keep up to date.
+ * @param {THREE.Material} material A Phong or Lambert material
+ */
+function addEclipseShadows(material) {
+  const uniforms = createEclipseUniforms();
+  material.userData.uniforms = uniforms;
+  material.defines = { MAX_OCCLUDERS: MAX_ECLIPSE_OCCLUDERS };
+  material.onBeforeCompile = shader => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', ECLIPSE_VERTEX_PARS)
+      .replace('#include <project_vertex>', ECLIPSE_VERTEX);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', ECLIPSE_FRAGMENT_PARS)
+      .replace('#include <lights_fragment_end>', ECLIPSE_FRAGMENT);
+  };
+}
+
+/**
+ * Creates the glowing shell of air around a planet
+ * @param {Object} def Body definition; `atmosphere` is the shell's thickness
+ *   as a fraction of the radius
+ * @returns {THREE.Mesh} The shell, to be added under the planet mesh
+ */
+function createAtmosphere(def) {
+  const outer = def.radius * (1 + def.atmosphere);
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      sunPosition:      { value: new THREE.Vector3() },
+      planetRadius:     { value: def.radius },
+      atmosphereRadius: { value: outer },
+      intensity:        { value: 1.5 }
+    },
+    vertexShader: ATMOSPHERE_VERTEX_SHADER,
+    fragmentShader: ATMOSPHERE_FRAGMENT_SHADER,
+    side: THREE.BackSide,
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const shell = new THREE.Mesh(new THREE.SphereGeometry(outer, 64, 64), material);
+  shell.name = `${def.name}-atmosphere`;
+  return shell;
+}
+
+/**
+ * Creates a ring system in the body's equatorial plane (its mesh's x-z
+ * plane), so the rings tilt with the body's pole
+ * @param {Object} def Body definition; `rings` gives inner and outer (body
+ *   radii), color, opacity, an optional radial strip texture and gaps
+ * @returns {THREE.Mesh} The rings, to be added under the body mesh
  */
-export function createEarthOrbit() {
-  // build an array of points around a circle
-  const orbitPts = [];
-  for(let i = 0; i <= ORBIT_SEGMENTS; i++){
-    const θ = (i / ORBIT_SEGMENTS) * Math.PI * 2;
-    orbitPts.push(
-      new THREE.Vector3(
-        Math.cos(θ) * ORBIT_RADIUS,
-        0,       // same height as Sun (and grid)
-        Math.sin(θ) * ORBIT_RADIUS
-      )
-    );
+function createRings(def) {
+  const { inner, outer, texture, gaps = [] } = def.rings;
+  const uniforms = {
+    ...createEclipseUniforms(),
+    ringMap:    { value: null },
+    hasRingMap: { value: 0.0 },
+    ringColor:  { value: new THREE.Color(def.rings.color !== undefined ? def.rings.color : 0xffffff) },
+    opacity:    { value: def.rings.opacity !== undefined ? def.rings.opacity : 1.0 },
+    bodyRadius: { value: def.radius },
+    inner:      { value: inner },
+    outer:      { value: outer },
+    gaps:       { value: Array.from({ length: MAX_RING_GAPS }, (_, i) => new THREE.Vector2(...(gaps[i] || [0, 0]))) },
+    gapCount:   { value: Math.min(gaps.length, MAX_RING_GAPS) }
+  };
+  if (texture) {
+    loadOptionalTexture(texture, tex => {
+      uniforms.ringMap.value = tex;
+      uniforms.hasRingMap.value = 1.0;
+    });
   }
+
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    defines: { MAX_OCCLUDERS: MAX_ECLIPSE_OCCLUDERS, MAX_RING_GAPS },
+    vertexShader: RING_VERTEX_SHADER,
+    fragmentShader: RING_FRAGMENT_SHADER,
+    side: THREE.DoubleSide,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const geometry = new THREE.RingGeometry(inner * def.radius, outer * def.radius, 256, 1);
+  geometry.rotateX(-Math.PI / 2);
+  const rings = new THREE.Mesh(geometry, material);
+  rings.name = `${def.name}-rings`;
+  return rings;
+}
+
+/**
+ * Loads a texture with anisotropic filtering
+ * @param {string} url Texture path
+ * @returns {THREE.Texture} The texture
+ */
+function loadTexture(url) {
+  const tex = texLoader.load(url);
+  tex.anisotropy = MAX_ANISO;
+  return tex;
+}
+
+/**
+ * Loads a texture that might not be there, handing it over only once it
+ * has actually arrived
+ * @param {string} url Texture path
+ * @param {Function} onLoad Called with the texture
+ */
+function loadOptionalTexture(url, onLoad) {
+  texLoader.load(
+    url,
+    tex => {
+      tex.anisotropy = MAX_ANISO;
+      tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+      onLoad(tex);
+    },
+    undefined,
+    () => console.warn(`Texture ${url} not found; using the procedural fallback`)
+  );
+}
+
+/**
+ * Creates an orbit visualization from the same elements that move the body
+ * @param {Object} elements Prepared orbital elements
+ * @returns {THREE.LineLoop} The orbit line
+ */
+export function createOrbitLine(elements) {
+  const orbitPts = orbitPoints(elements, ORBIT_SEGMENTS);
   
   const orbitGeo = new THREE.BufferGeometry().setFromPoints(orbitPts);
   const orbitMat = new THREE.LineBasicMaterial({
@@ -99,79 +446,189 @@ export function createEarthOrbit() {
 }
 
 /**
- * Creates the Moon mesh and pivots it around Earth
- * @param {THREE.Mesh} earthMesh The Earth mesh to attach to
- * @returns {Object} The Moon object with mesh and pivot
+ * Updates the celestial bodies based on elapsed time
+ * @param {Object} system The system returned by createSolarSystem
+ * @param {number} time Current scene time (since J2000)
  */
-export function createMoon(earthMesh) {
-  const texLoader = new THREE.TextureLoader();
-  const moonColor = texLoader.load('moon-map.jpg');
-  const moonTopo = texLoader.load('moon-topography.jpg');
+export function updateCelestialBodies(system, time) {
+  const days = time / SCENE_TIME_SCALE / SECONDS_PER_DAY;
+  const jd = J2000 + days;
 
-  // Improve texture sampling
-  const maxAniso = 16; // Use a reasonable default
-  
-  moonColor.anisotropy = maxAniso;
-  moonTopo.anisotropy = maxAniso;
+  for (const body of system.bodies) {
+    const { def, mesh } = body;
 
-  // sphere segments can stay modest since it's small on screen
-  const moonGeo = new THREE.SphereGeometry(4.0 * MOON_SCALE, 128, 128);
+    // Shader-driven bodies (the Sun) animate off the time uniform
+    if (mesh.material.uniforms && mesh.material.uniforms.time) {
+      mesh.material.uniforms.time.value = time;
+    }
+    if (body.activity) updateSolarActivity(body.activity, days);
+    if (body.belt) updateAsteroidBelt(body.belt, time);
 
-  const moonMat = new THREE.MeshLambertMaterial({
-    map: moonColor,
-    bumpMap: moonTopo,
-    bumpScale: 0.02,             // tweak until craters look right
-  });
+    if (body.parent && !body.integrated) {
+      if (def.ephemeris) {
+        // Where the real body is on this date
+        followEphemeris(body, time, jd);
+      } else {
+        // Keplerian orbit around the parent
+        orbitalState(body.elements, time, body.anchor.position, body.velocity);
+      }
+    }
 
-  // assemble
-  const moonMesh = new THREE.Mesh(moonGeo, moonMat);
+    // Turn about its real axis to where it is on this date
+    if (body.rotation) {
+      orientationAt(body.rotation, days, mesh.quaternion);
+      body.spin.copy(body.rotation.pole).multiplyScalar(body.rotation.rate / SECONDS_PER_DAY / SCENE_TIME_SCALE);
+    }
+  }
+}
 
-  // pivot point at Earth's center
-  const moonPivot = new THREE.Object3D();
-  earthMesh.add(moonPivot);
+/**
+ * Resizes a body and its orbit for a layout scale. The orbital period is
+ * left alone, so the body keeps the same timing at any scale.
+ * @param {Object} body A body from the system
+ * @param {number} radius New radius in scene units
+ * @param {number} [semiMajorAxis] New orbit size in scene units
+ */
+export function setBodyLayout(body, radius, semiMajorAxis) {
+  body.radius = radius;
+  body.mesh.scale.setScalar(radius / body.def.radius);
 
-  // place Moon on the +X axis of that pivot
-  moonMesh.position.set(MOON_ORBIT_RADIUS, 1, 0);
-  moonPivot.add(moonMesh);
-  
-  // Calculate moon orbital speed
-  const MOON_OMEGA = Math.sqrt(ORB_G * EARTH_MASS / (MOON_ORBIT_RADIUS**3));
-  
-  return { 
-    mesh: moonMesh, 
-    pivot: moonPivot,
-    omega: MOON_OMEGA 
-  };
+  if (body.elements && semiMajorAxis !== undefined) {
+    body.elements.semiMajorAxis = semiMajorAxis;
+    if (body.orbitLine) redrawOrbitLine(body);
+  }
 }
 
 /**
- * Updates the celestial bodies based on elapsed time
- * @param {Object} bodies Object containing all celestial bodies
- * @param {number} time Current time
- * @param {THREE.ShaderMaterial} gridMaterial Grid material for updating uniforms
+ * Moves a body to its ephemeris position on a date. The ephemeris gives the
+ * direction and the shape of the orbit; the distance is stretched to the
+ * body's current (layout) semi-major axis. The elements are brought up to
+ * date too, so velocities, periods and predictions follow the real orbit.
+ * @param {Object} body A body with an `ephemeris` key in its definition
+ * @param {number} time Current scene time
+ * @param {number} jd The same time as a Julian date
  */
-export function updateCelestialBodies(bodies, time, gridMaterial) {
-  // Sun animation update
-  bodies.sun.material.uniforms.time.value = time;
-  
-  // Moon orbit update
-  bodies.moon.pivot.rotation.y = bodies.moon.omega * time;
-
-  // Tidally-locked rotation so the same face always points to Earth
-  bodies.moon.mesh.rotation.y = bodies.moon.omega * time;
-
-  // Earth orbital position (circular)
-  const ang = bodies.earthOrbitalSpeed * time;
-  const ex = ORBIT_RADIUS * Math.cos(ang);
-  const ez = ORBIT_RADIUS * Math.sin(ang);
-  const ey = bodies.sun.position.y;
-
-  // Update Earth position & grid dip
-  bodies.earth.position.set(ex, ey, ez);
-  if (gridMaterial && gridMaterial.uniforms) {
-    gridMaterial.uniforms.earthPos.value.copy(bodies.earth.position);
+function followEphemeris(body, time, jd) {
+  const el = body.elements;
+  const eph = elementsAt(body.def.ephemeris, jd);
+
+  setOrientation(el, eph);
+  el.meanMotion = eph.meanMotion * DEG / SECONDS_PER_DAY / SCENE_TIME_SCALE;
+  el.meanAnomalyAtEpoch = eph.meanAnomaly * DEG - el.meanMotion * time;
+  orbitalState(el, time, body.anchor.position, body.velocity);
+
+  ephemerisOffset(body, jd, body.anchor.position, eph);
+
+  if (body.orbitLine && Math.abs(jd - body.orbitDate) > ORBIT_REDRAW_DAYS) {
+    body.orbitDate = jd;
+    redrawOrbitLine(body);
   }
+}
 
-  // Rotate Earth on its axis
-  bodies.earth.rotation.y = time * 0.1;
+/**
+ * A body's ephemeris position relative to its parent, at the size of its
+ * current (layout) orbit
+ * @param {Object} body A body with an `ephemeris` key in its definition
+ * @param {number} jd Julian date
+ * @param {THREE.Vector3} out Vector to write into
+ * @param {Object} [eph] Its elements on that date, if already to hand
+ * @returns {THREE.Vector3} The scene-frame offset from the parent
+ */
+function ephemerisOffset(body, jd, out, eph = elementsAt(body.def.ephemeris, jd)) {
+  const p = eclipticPosition(body.def.ephemeris, jd, _ecliptic);
+  const k = body.elements.semiMajorAxis / eph.semiMajorAxis;
+  return eclipticToScene(p.x * k, p.y * k, p.z * k, out);
+}
+
+/**
+ * Rewrites an orbit line from the body's current elements
+ * @param {Object} body A body with an orbit line
+ */
+function redrawOrbitLine(body) {
+  const attr = body.orbitLine.geometry.attributes.position;
+  orbitPoints(body.elements, ORBIT_SEGMENTS).forEach((p, i) => attr.setXYZ(i, p.x, p.y, p.z));
+  attr.needsUpdate = true;
+  body.orbitLine.geometry.computeBoundingSphere();
+}
+
+// Scratch objects for the ephemeris, lookup and prediction helpers
+const _ecliptic = { x: 0, y: 0, z: 0 };
+const _step = new THREE.Vector3();
+const _now = new THREE.Vector3();
+
+/**
+ * The body a point is closest to, measured in that body's radii (so a
+ * point near a small moon counts as near it rather than its planet)
+ * @param {Object} system The system returned by createSolarSystem
+ * @param {THREE.Vector3} position World-space point
+ * @returns {Object} The nearest body
+ */
+export function nearestBody(system, position) {
+  let nearest = null;
+  let best = Infinity;
+  for (const body of system.bodies) {
+    const radii = body.anchor.getWorldPosition(_step).distanceTo(position) / body.radius;
+    if (radii < best) {
+      best = radii;
+      nearest = body;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Predicts a body's world position at another scene time. Kepler bodies
+ * step along their orbit from where they are now (so ephemeris corrections
+ * carry over); bodies under n-body integration are extrapolated linearly.
+ * @param {Object} body A body from the system
+ * @param {number} time Scene time to predict for
+ * @param {number} now Current scene time
+ * @param {THREE.Vector3} out Vector to write the position into
+ * @returns {THREE.Vector3} The predicted world position
+ */
+export function predictBodyPosition(body, time, now, out) {
+  out.set(0, 0, 0);
+  for (let b = body; b; b = b.parent) {
+    if (b.elements && !b.integrated) {
+      orbitalState(b.elements, time, _step);
+      orbitalState(b.elements, now, _now);
+      out.add(b.anchor.position).add(_step).sub(_now);
+    } else {
+      out.add(b.anchor.position).addScaledVector(b.velocity, time - now);
+    }
+  }
+  return out;
+}
+
+/**
+ * Where a body is on any date by the same rules updateCelestialBodies
+ * follows: the ephemeris where it has one, its orbit where it doesn't.
+ * Unlike predictBodyPosition this doesn't drift over long spans, but it
+ * ignores n-body integration.
+ * @param {Object} body A body from the system
+ * @param {number} jd Julian date
+ * @param {THREE.Vector3} out Vector to write the position into
+ * @returns {THREE.Vector3} The world position
+ */
+export function bodyPositionAt(body, jd, out) {
+  const time = (jd - J2000) * SECONDS_PER_DAY * SCENE_TIME_SCALE;
+  out.set(0, 0, 0);
+  for (let b = body; b; b = b.parent) {
+    if (!b.parent) out.add(b.anchor.position);
+    else if (b.def.ephemeris) out.add(ephemerisOffset(b, jd, _step));
+    else out.add(orbitalState(b.elements, time, _step));
+  }
+  return out;
+}
+
+/**
+ * A body's velocity in world space (its own plus all of its parents')
+ * @param {Object} body A body from the system
+ * @param {THREE.Vector3} out Vector to write the velocity into
+ * @returns {THREE.Vector3} Velocity in scene units per scene second
+ */
+export function bodyWorldVelocity(body, out) {
+  out.set(0, 0, 0);
+  for (let b = body; b; b = b.parent) out.add(b.velocity);
+  return out;
 }
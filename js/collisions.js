@@ -0,0 +1,278 @@
+/**
+ * This file contains collisions between the ship and the bodies. Every body
+ * is a sphere of its current radius and the ship a sphere of its hull radius.
+ * What happens on contact depends on the mode:
+ *   'land'    touching down slowly parks the ship on the surface, where it
+ *             turns with the body until you thrust away; hitting hard crashes
+ *   'bounce'  the ship rebounds off the surface
+ *   'crash'   any contact destroys the ship and it respawns
+ * Flying into a star always burns the ship up, whatever the mode.
+ */
+
+import * as THREE from 'three';
+import { SCENE_TIME_SCALE } from './constants.js';
+import { bodyWorldVelocity, nearestBody } from './celestialBodies.js';
+import { getActiveShip, getShipVelocity, resetShip } from './xwing.js';
+import { getAction, wasPressed } from './input.js';
+
+export const COLLISION_MODES = ['land', 'bounce', 'crash'];
+
+const LANDING_SPEED = 4;          // max impact speed (units/s) that still lands
+const RESTITUTION = 0.6;          // fraction of impact speed kept by a bounce
+const CLEARANCE = 0.05;           // gap left between hull and surface
+const MESSAGE_TIME = 3;           // seconds an impact message stays up
+
+// Any of these above the threshold lifts a landed ship off
+const TAKEOFF_ACTIONS = [
+  'thrustForward', 'thrustBack', 'strafeLeft', 'strafeRight', 'thrustUp', 'thrustDown'
+];
+const TAKEOFF_THRESHOLD = 0.2;
+
+// Scratch objects so the per-frame path doesn't allocate
+const _bodyPos = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _surfaceVel = new THREE.Vector3();
+const _relVel = new THREE.Vector3();
+const _arm = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _align = new THREE.Quaternion();
+const _up = new THREE.Vector3();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Creates the collision state
+ * @param {Object} system The system returned by createSolarSystem
+ * @param {THREE.Object3D} ship The player ship
+ * @param {Object} clock The simulation clock
+ * @returns {Object} The collision state
+ */
+export function createCollisions(system, ship, clock) {
+  const status = document.createElement('div');
+  status.className = 'panel collision-status';
+  status.hidden = true;
+  document.body.appendChild(status);
+
+  // The spawn point is kept relative to the nearest body, in its radii, so
+  // it stays in the same place when the layout scale changes
+  const spawnBody = nearestBody(system, ship.position);
+  spawnBody.anchor.getWorldPosition(_bodyPos);
+
+  return {
+    mode: 'land',
+    system,
+    ship,
+    clock,
+    spawnBody,                                  // crashed ships come back near this body...
+    spawnOffset: ship.position.clone().sub(_bodyPos).divideScalar(spawnBody.radius), // ...at this offset in its radii
+    landed: null,                               // body we're parked on
+    landedPosition: new THREE.Vector3(),        // in the body mesh's frame
+    landedQuaternion: new THREE.Quaternion(),   // relative to the body mesh
+    messageTimer: 0,
+    status
+  };
+}
+
+/**
+ * Switches collision mode. Leaving 'land' lets go of the surface.
+ * @param {Object} col The collision state
+ * @param {string} mode One of COLLISION_MODES
+ */
+export function setCollisionMode(col, mode) {
+  col.mode = mode;
+  if (mode !== 'land') takeOff(col);
+  showMessage(col, `Collisions: ${mode}`);
+}
+
+/**
+ * Lets go of the body the ship is parked on, if any
+ * @param {Object} col The collision state
+ */
+export function takeOff(col) {
+  col.landed = null;
+}
+
+/**
+ * Resolves contacts for this frame, after cycling the mode on the
+ * cycleCollisionMode action (L). Call after the ship and bodies move.
+ * @param {Object} col The collision state
+ * @param {number} delta Real seconds since the last frame
+ * @returns {string|null} 'landed', 'bounced', 'crashed' or 'burned' when
+ *   something happened this frame
+ */
+export function updateCollisions(col, delta) {
+  if (wasPressed('cycleCollisionMode')) {
+    const next = (COLLISION_MODES.indexOf(col.mode) + 1) % COLLISION_MODES.length;
+    setCollisionMode(col, COLLISION_MODES[next]);
+  }
+  updateMessage(col, delta);
+
+  const sceneRate = col.clock.paused ? 0 : col.clock.rate * SCENE_TIME_SCALE;
+
+  if (col.landed) {
+    if (wantsTakeoff()) {
+      takeOff(col);
+    } else {
+      followSurface(col, sceneRate);
+      return null;
+    }
+  }
+
+  const ship = col.ship;
+  const hull = getActiveShip().hullRadius;
+
+  for (const body of col.system.bodies) {
+    body.anchor.getWorldPosition(_bodyPos);
+    const reach = body.radius + hull;
+    _normal.subVectors(ship.position, _bodyPos);
+    const dist = _normal.length();
+    if (dist >= reach) continue;
+
+    if (dist > 1e-6) _normal.divideScalar(dist);
+    else _normal.copy(WORLD_UP);
+
+    if (body.def.type === 'star') {
+      respawn(col, `Burned up in the ${body.def.label}`);
+      return 'burned';
+    }
+
+    surfaceVelocity(body, ship.position, sceneRate, _surfaceVel);
+    _relVel.subVectors(getShipVelocity(), _surfaceVel);
+    const impact = Math.max(0, -_relVel.dot(_normal));
+
+    if (col.mode === 'crash' || (col.mode === 'land' && impact > LANDING_SPEED)) {
+      respawn(col, `Crashed into ${body.def.label}`);
+      return 'crashed';
+    }
+
+    // Back out onto the surface
+    ship.position.copy(_bodyPos).addScaledVector(_normal, reach + CLEARANCE);
+
+    if (col.mode === 'land') {
+      land(col, body, _normal, _surfaceVel);
+      return 'landed';
+    }
+
+    // Reflect the approaching part of the velocity, relative to the surface
+    if (impact > 0) {
+      _relVel.addScaledVector(_normal, (1 + RESTITUTION) * impact);
+      getShipVelocity().copy(_relVel).add(_surfaceVel);
+    }
+    return 'bounced';
+  }
+
+  return null;
+}
+
+/**
+ * Parks the ship on a body: stands it up along the surface normal and
+ * remembers where it is in the body's own (spinning) frame
+ * @param {Object} col The collision state
+ * @param {Object} body The body landed on
+ * @param {THREE.Vector3} normal Surface normal at the touchdown point
+ * @param {THREE.Vector3} surfaceVel Velocity of the surface there
+ */
+function land(col, body, normal, surfaceVel) {
+  const ship = col.ship;
+  const mesh = body.mesh;
+  mesh.updateWorldMatrix(true, false);
+
+  // Turn the ship's up onto the normal, keeping its heading as far as possible
+  _up.copy(WORLD_UP).applyQuaternion(ship.quaternion);
+  _align.setFromUnitVectors(_up, normal);
+  ship.quaternion.premultiply(_align);
+
+  col.landed = body;
+  col.landedPosition.copy(ship.position);
+  mesh.worldToLocal(col.landedPosition);
+  mesh.getWorldQuaternion(_quat);
+  col.landedQuaternion.copy(_quat).invert().multiply(ship.quaternion);
+
+  getShipVelocity().copy(surfaceVel);
+  showMessage(col, `Landed on ${body.def.label} · thrust to take off`, Infinity);
+}
+
+/**
+ * Keeps a landed ship glued to its spot as the body orbits and spins. The
+ * ship isn't integrated while landed (see main.js), so this is the only
+ * thing moving it.
+ * @param {Object} col The collision state
+ * @param {number} sceneRate Scene seconds per real second
+ */
+function followSurface(col, sceneRate) {
+  const ship = col.ship;
+  const mesh = col.landed.mesh;
+  mesh.updateWorldMatrix(true, false);
+
+  ship.position.copy(col.landedPosition);
+  mesh.localToWorld(ship.position);
+  mesh.getWorldQuaternion(_quat);
+  ship.quaternion.copy(_quat).multiply(col.landedQuaternion);
+
+  // Carry the surface's motion so a take-off starts from it
+  surfaceVelocity(col.landed, ship.position, sceneRate, getShipVelocity());
+}
+
+/**
+ * Velocity of a point on a body's surface: the body's orbital motion plus
+ * its spin, in units per real second
+ * @param {Object} body A body from the system
+ * @param {THREE.Vector3} point World-space point on (or near) the surface
+ * @param {number} sceneRate Scene seconds per real second
+ * @param {THREE.Vector3} out Vector to write the velocity into
+ * @returns {THREE.Vector3} The velocity
+ */
+function surfaceVelocity(body, point, sceneRate, out) {
+  bodyWorldVelocity(body, out);
+
+  // Spin about the body's own axis: ω × r
+  body.anchor.getWorldPosition(_bodyPos);
+  _arm.subVectors(point, _bodyPos);
+  out.add(_arm.crossVectors(body.spin, _arm));
+  return out.multiplyScalar(sceneRate);
+}
+
+/**
+ * Whether the pilot is asking to lift off
+ * @returns {boolean} True if any thrust action is held
+ */
+function wantsTakeoff() {
+  return TAKEOFF_ACTIONS.some(action => getAction(action) > TAKEOFF_THRESHOLD);
+}
+
+/**
+ * Puts a destroyed ship back at the spawn point
+ * @param {Object} col The collision state
+ * @param {string} reason Message to show
+ */
+function respawn(col, reason) {
+  takeOff(col);
+  col.spawnBody.anchor.getWorldPosition(_bodyPos);
+  _bodyPos.addScaledVector(col.spawnOffset, col.spawnBody.radius);
+  resetShip(col.ship, _bodyPos);
+  showMessage(col, `${reason} · respawned`);
+}
+
+/**
+ * Shows a status message
+ * @param {Object} col The collision state
+ * @param {string} text The message
+ * @param {number} [duration] Seconds to show it for
+ */
+function showMessage(col, text, duration = MESSAGE_TIME) {
+  col.messageTimer = duration;
+  col.status.textContent = text;
+  col.status.hidden = false;
+}
+
+/**
+ * Counts down the current message and hides it when it expires (or when
+ * the ship leaves the surface it was describing)
+ * @param {Object} col The collision state
+ * @param {number} delta Real seconds since the last frame
+ */
+function updateMessage(col, delta) {
+  if (col.status.hidden) return;
+  if (col.messageTimer === Infinity && !col.landed) col.messageTimer = 0;
+  col.messageTimer -= delta;
+  if (col.messageTimer <= 0) col.status.hidden = true;
+}
@@ -10,7 +10,6 @@
  */
 
 // Physics constants
-export const GRAVITY = 9.8;                     // m/s^2 :)
 export const SOLAR_MASS = 1.9885e30 / 1e25;
 export const DIP_FALLOFF = 10.0;                // softens the "dip"
 export const EARTH_MASS = SOLAR_MASS / 332950;  // To scale
@@ -18,11 +17,31 @@ export const EARTH_MASS = SOLAR_MASS / 332950;  // To scale
 // Grid constants
 export const GRID_SIZE = 1000;               // width/depth of grid mesh
 export const GRID_DIVISIONS = 1600;         // subdivisions per side   
+export const MAX_GRID_WELLS = 16;           // bodies the grid can show a dip for
+export const GRID_DIP_SCALE = 0.12;         // grid depth per unit of gravitational potential (visual only)
 
 // Orbital constants
 export const ORB_G = 0.2;                   // pseudo‑G for orbit speed
 export const ORBIT_RADIUS = 400.0;           // distance from Sun in scene units
-export const ORB_OMEGA = Math.sqrt(ORB_G * SOLAR_MASS / (ORBIT_RADIUS**3));
+export const ORB_OMEGA = orbitalOmega(SOLAR_MASS, ORBIT_RADIUS);
+
+/**
+ * Angular speed of a circular orbit around a parent of the given mass
+ * @param {number} parentMass Mass of the body being orbited (scene mass units)
+ * @param {number} radius Orbit radius in scene units
+ * @returns {number} Angular speed in radians per second
+ */
+export function orbitalOmega(parentMass, radius) {
+  return Math.sqrt(ORB_G * parentMass / (radius**3));
+}
+
+// Simulation time
+export const SIM_EPOCH = Date.UTC(2000, 0, 1, 12);   // J2000, the date at sim time 0 (ms)
+export const YEAR_SECONDS = 365.256 * 86400;          // sidereal year in seconds
+export const SCENE_TIME_SCALE = (2 * Math.PI / ORB_OMEGA) / YEAR_SECONDS; // one Earth orbit == one year
+export const DEFAULT_TIME_RATE = 1e5;                 // roughly the pace the scene was tuned for
+export const MIN_TIME_RATE = 1;                       // real time
+export const MAX_TIME_RATE = 1e6;
 
 // Moon constants
 export const MOON_SCALE = 0.273;
@@ -33,6 +52,20 @@ export const MOVE_SPEED = 10;
 
 // Visual constants
 export const ORBIT_SEGMENTS = 128;              // more = smoother for orbit line
+export const MAX_ECLIPSE_OCCLUDERS = 4;         // bodies that can shadow any one body
+export const MAX_RING_GAPS = 4;                 // gaps a ring system can list
+
+// Asteroid belts: one instanced draw call each, moved entirely on the GPU.
+// Budgeted at a few percent of the grid's 5M triangles.
+export const ASTEROID_COUNT = 3000;             // rocks per belt (at most)
+export const ASTEROID_DETAIL = 1;               // icosahedron subdivisions (80 triangles a rock)
+
+// Layout scale (compressed scene units <-> true scale, where 1 unit = 1 km)
+export const KM_PER_AU = 149597870.7;
+export const CAMERA_NEAR = 0.1;
+export const COMPRESSED_FAR = 1000;             // camera far plane in the compressed layout
+export const TRUE_SCALE_FAR = 1e10;             // ...and at true scale (past Neptune)
+export const SUPERCRUISE_ALTITUDE = 20;         // units of altitude per unit of speed scale-up
 
 // Space environment constants
 export const STAR_FIELD_RADIUS = 800;           // size of the star field sphere
@@ -40,3 +73,9 @@ export const STAR_COUNT = 8000;                 // number of stars in the field
 export const STAR_SIZE_MIN = 0.1;               // minimum star size
 export const STAR_SIZE_MAX = 0.8;               // maximum star size
 export const BRIGHT_STARS_PERCENTAGE = 0.05;    // percentage of bright stars
+export const SCENE_SEED = 1;                    // seeds the sky and the asteroid belt (?seed= overrides)
+export const STAR_CATALOGUE = false;            // real stars instead of random ones (?stars=catalogue|random overrides)
+export const SHOW_CONSTELLATIONS = true;        // constellation figures on the real stars (N toggles)
+export const SKY_CUBE_MAP = false;              // bake the sky into a cube map once instead of drawing it every frame
+export const SKY_CUBE_SIZE = 1024;              // cube map face size in pixels
+export const NEBULA_QUALITY = 'medium';         // nebula raymarch steps: 'low', 'medium' or 'high'
@@ -0,0 +1,312 @@
+/**
+ * This file contains the eclipse finder: it looks ahead from the simulated
+ * date for the times a moon's shadow falls on its planet (a solar eclipse)
+ * or the planet's shadow falls on the moon (a lunar eclipse), and lists
+ * them in a panel that can jump the clock to each one.
+ *
+ * It works on the scene's own geometry, the same positions and radii the
+ * shadows in the shaders use, so what it predicts is what will be seen. At
+ * true scale that's the real eclipses, to within the ephemeris (minutes in
+ * time; a grazing one can come out as the wrong kind); the compressed layout, with
+ * its huge planets on small orbits, has many more of them.
+ *
+ * The shadow of a body of radius r at distance D from a Sun of radius R
+ * is a pair of cones. At a distance x behind the body the penumbra has
+ * radius r + x (R + r) / D and the umbra r - x (R - r) / D; past the umbra's
+ * tip that goes negative and becomes the antumbra, where the eclipse is
+ * annular.
+ */
+
+import * as THREE from 'three';
+import { bodyPositionAt } from './celestialBodies.js';
+import { J2000 } from './ephemeris.js';
+import { setSimDate } from './simClock.js';
+import { SIM_EPOCH } from './constants.js';
+
+const SEARCH_DAYS = 400;          // how far ahead to look
+const STEP_DAYS = 0.25;           // sampling step; shadows take longer than this to cross
+const REFRESH_DAYS = 30;          // search again once the clock moves this far either way
+const MIN_SEARCH_INTERVAL = 1000; // real ms between searches, however fast the clock runs
+const MAX_EVENTS = 4;             // events listed in the panel
+const REFINE_STEPS = 30;          // golden-section and bisection iterations
+const MS_PER_DAY = 86400000;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+// Scratch objects so the per-frame path doesn't allocate
+const _sun = new THREE.Vector3();
+const _occluder = new THREE.Vector3();
+const _receiver = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+/**
+ * Creates the eclipse finder
+ * @param {Object} system The system returned by createSolarSystem
+ * @returns {Object} The finder state
+ */
+export function createEclipseFinder(system) {
+  const star = system.bodies.find(body => body.def.type === 'star');
+
+  // Every moon with its planet, each way round
+  const pairs = [];
+  for (const body of system.bodies) {
+    const planet = body.parent;
+    if (!planet || planet === star || !planet.parent) continue;
+    pairs.push({ type: 'solar', occluder: body, receiver: planet });
+    pairs.push({ type: 'lunar', occluder: planet, receiver: body });
+  }
+
+  return {
+    system,
+    star,
+    pairs,
+    events: [],
+    searchedAt: NaN,          // Julian date the last search was centred on
+    searchTime: -Infinity,    // performance.now() when it ran
+    layoutVersion: -1         // the system's layout version it used
+  };
+}
+
+/**
+ * Looks for eclipses between two dates
+ * @param {Object} finder The finder state
+ * @param {number} jd Julian date to start from
+ * @param {number} [days] How many days on to look
+ * @returns {Array<Object>} Events in date order: type ('solar' | 'lunar'),
+ *   kind ('total' | 'annular' | 'partial' | 'penumbral'), occluder and
+ *   receiver bodies, and start, max and end as Julian dates
+ */
+export function findEclipses(finder, jd, days = SEARCH_DAYS) {
+  const events = [];
+
+  for (const pair of finder.pairs) {
+    const miss = t => shadowMiss(finder, pair, t).miss;
+    let before = Infinity;
+    let prev = miss(jd - STEP_DAYS);
+
+    for (let t = jd; t <= jd + days; t += STEP_DAYS) {
+      const current = miss(t);
+      // A dip in the miss distance: the closest approach is within a step of t - STEP
+      if (prev < before && prev <= current && prev < 1) {
+        const max = goldenMinimum(miss, t - 2 * STEP_DAYS, t);
+        const event = describeEclipse(finder, pair, max, miss);
+        if (event && event.end >= jd) events.push(event);
+      }
+      before = prev;
+      prev = current;
+    }
+  }
+
+  return events.sort((a, b) => a.max - b.max);
+}
+
+/**
+ * Keeps the upcoming eclipses current. Each search also covers the
+ * REFRESH_DAYS before the date, so the list holds up while the clock moves
+ * that far either way; past that, or when the layout has resized the
+ * bodies, it searches again, but at most once every MIN_SEARCH_INTERVAL
+ * so a fast clock can't make it search every frame.
+ * @param {Object} finder The finder state
+ * @param {number} jd Current Julian date
+ * @returns {Array<Object>} Eclipses in progress or still to come
+ */
+export function updateEclipseFinder(finder, jd) {
+  const layoutVersion = finder.system.layoutVersion;
+  const moved = !(Math.abs(jd - finder.searchedAt) < REFRESH_DAYS);
+  const now = performance.now();
+
+  if ((moved || layoutVersion !== finder.layoutVersion) &&
+      now - finder.searchTime >= MIN_SEARCH_INTERVAL) {
+    finder.events = findEclipses(finder, jd - REFRESH_DAYS, SEARCH_DAYS + REFRESH_DAYS);
+    finder.searchedAt = jd;
+    finder.searchTime = now;
+    finder.layoutVersion = layoutVersion;
+  }
+  return finder.events.filter(event => event.end >= jd);
+}
+
+/**
+ * Creates the eclipse panel: the next few eclipses, each a button that
+ * jumps the clock to mid-eclipse and pauses it there
+ * @param {Object} clock The simulation clock
+ * @returns {Object} The panel state
+ */
+export function createEclipsePanel(clock) {
+  const panel = document.createElement('div');
+  panel.className = 'panel eclipse-panel';
+
+  const title = document.createElement('div');
+  title.textContent = 'Eclipses';
+  const list = document.createElement('div');
+
+  panel.append(title, list);
+  document.body.appendChild(panel);
+  return { panel, list, clock, lastText: '' };
+}
+
+/**
+ * Refreshes the eclipse list, touching the DOM only on change
+ * @param {Object} eclipsePanel The panel returned by createEclipsePanel
+ * @param {Object} finder The finder state
+ * @param {number} jd Current Julian date
+ */
+export function updateEclipsePanel(eclipsePanel, finder, jd) {
+  const events = updateEclipseFinder(finder, jd).slice(0, MAX_EVENTS);
+  const rows = events.map(event => ({
+    event,
+    text: `${event.start <= jd ? 'now' : formatDate(event.max)}  ${capitalise(event.kind)} ${event.type} (${event.receiver.def.label})`
+  }));
+
+  const text = rows.map(row => row.text).join('\n') || 'none in the next year';
+  if (text === eclipsePanel.lastText) return;
+  eclipsePanel.lastText = text;
+
+  if (!rows.length) {
+    eclipsePanel.list.textContent = text;
+    return;
+  }
+  eclipsePanel.list.replaceChildren(...rows.map(({ event, text }) => {
+    const btn = document.createElement('button');
+    btn.className = 'eclipse-event';
+    btn.textContent = text;
+    btn.title = `Jump to mid-eclipse, ${formatDate(event.max)} UTC (pauses the clock)`;
+    btn.addEventListener('click', () => {
+      setSimDate(eclipsePanel.clock, (event.max - J2000) * MS_PER_DAY + SIM_EPOCH);
+      eclipsePanel.clock.paused = true;
+    });
+    return btn;
+  }));
+}
+
+/**
+ * How far the receiver is from being in the occluder's shadow on a date
+ * @param {Object} finder The finder state
+ * @param {Object} pair The occluder and receiver
+ * @param {number} jd Julian date
+ * @returns {{miss: number, rho: number, umbra: number}} miss is the gap
+ *   between the receiver's near edge and the shadow axis over the penumbra's
+ *   radius (under 1 means an eclipse); rho is the receiver's distance from
+ *   the axis and umbra the umbra's radius there (negative: antumbra)
+ */
+function shadowMiss(finder, pair, jd) {
+  const { star } = finder;
+  const { occluder, receiver } = pair;
+  bodyPositionAt(star, jd, _sun);
+  bodyPositionAt(occluder, jd, _occluder);
+  bodyPositionAt(receiver, jd, _receiver);
+
+  _axis.subVectors(_occluder, _sun);
+  const D = _axis.length();
+  _axis.divideScalar(D);
+  _offset.subVectors(_receiver, _occluder);
+  const x = _offset.dot(_axis);
+  if (x <= 0) return { miss: Infinity, rho: Infinity, umbra: 0 };
+
+  const rho = _offset.addScaledVector(_axis, -x).length();
+  const penumbra = occluder.radius + x * (star.radius + occluder.radius) / D;
+  const umbra = occluder.radius - x * (star.radius - occluder.radius) / D;
+  return { miss: (rho - receiver.radius) / penumbra, rho, umbra };
+}
+
+/**
+ * Classifies an eclipse found near a date and times its contacts
+ * @param {Object} finder The finder state
+ * @param {Object} pair The occluder and receiver
+ * @param {number} max Julian date of greatest eclipse
+ * @param {Function} miss The pair's miss function
+ * @returns {Object|null} The event, or null if the shadow misses after all
+ */
+function describeEclipse(finder, pair, max, miss) {
+  const { rho, umbra } = shadowMiss(finder, pair, max);
+  const r = pair.receiver.radius;
+  if (miss(max) >= 1) return null;
+
+  let kind;
+  if (pair.type === 'lunar') {
+    // The moon sits inside the shadow
+    kind = rho + r <= umbra ? 'total' : rho - r < umbra ? 'partial' : 'penumbral';
+  } else {
+    // The shadow falls on the planet: total if the umbra reaches it, annular if only the antumbra does
+    kind = rho - r < Math.abs(umbra) ? (umbra > 0 ? 'total' : 'annular') : 'partial';
+  }
+
+  return {
+    type: pair.type,
+    kind,
+    occluder: pair.occluder,
+    receiver: pair.receiver,
+    start: contact(miss, max, -1),
+    max,
+    end: contact(miss, max, 1)
+  };
+}
+
+/**
+ * When the shadow first touches (or last leaves) the receiver
+ * @param {Function} miss Miss function of the pair
+ * @param {number} max Julian date of greatest eclipse
+ * @param {number} direction -1 for the first contact, 1 for the last
+ * @returns {number} Julian date of the contact
+ */
+function contact(miss, max, direction) {
+  let inside = max;
+  let outside = max + direction * STEP_DAYS;
+  for (let i = 0; i < SEARCH_DAYS / STEP_DAYS && miss(outside) < 1; i++) {
+    inside = outside;
+    outside += direction * STEP_DAYS;
+  }
+  for (let i = 0; i < REFINE_STEPS; i++) {
+    const mid = (inside + outside) / 2;
+    if (miss(mid) < 1) inside = mid;
+    else outside = mid;
+  }
+  return (inside + outside) / 2;
+}
+
+/**
+ * Minimum of a function known to have one between two dates
+ * @param {Function} fn Function of the Julian date
+ * @param {number} lo Start of the bracket
+ * @param {number} hi End of the bracket
+ * @returns {number} Julian date of the minimum
+ */
+function goldenMinimum(fn, lo, hi) {
+  let a = hi - GOLDEN * (hi - lo);
+  let b = lo + GOLDEN * (hi - lo);
+  let fa = fn(a);
+  let fb = fn(b);
+  for (let i = 0; i < REFINE_STEPS; i++) {
+    if (fa < fb) {
+      hi = b;
+      b = a;
+      fb = fa;
+      a = hi - GOLDEN * (hi - lo);
+      fa = fn(a);
+    } else {
+      lo = a;
+      a = b;
+      fa = fb;
+      b = lo + GOLDEN * (hi - lo);
+      fb = fn(b);
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Formats a Julian date for the panel
+ * @param {number} jd Julian date
+ * @returns {string} e.g. "2026-08-12 17:46"
+ */
+function formatDate(jd) {
+  return new Date((jd - J2000) * MS_PER_DAY + SIM_EPOCH).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Capitalises the first letter of a word
+ * @param {string} word The word
+ * @returns {string} The capitalised word
+ */
+function capitalise(word) {
+  return word[0].toUpperCase() + word.slice(1);
+}
@@ -0,0 +1,224 @@
+/**
+ * This file contains the offline ephemeris: where the planets and the Moon
+ * really are on a given date. Planets use JPL's approximate Keplerian
+ * elements with linear rates (Standish, "Keplerian Elements for Approximate
+ * Positions of the Major Planets", table 1, valid 1800-2050 AD to within a
+ * few arcminutes for the inner planets). The Moon uses the low-precision
+ * series from the Astronomical Almanac (about 0.3° in longitude) for its
+ * position, and mean elements for the shape of its orbit.
+ *
+ * Everything here is plain numbers in the ecliptic J2000 frame (x toward the
+ * equinox, z toward the ecliptic north pole) with no scene dependencies, so
+ * it can be checked directly against published positions. orbits.js maps
+ * the ecliptic into the scene.
+ */
+
+import { solveKepler } from './orbits.js';
+
+export const J2000 = 2451545.0;           // Julian date of the J2000 epoch
+export const EARTH_RADIUS_KM = 6378.14;   // equatorial radius the lunar parallax is based on
+
+const DAYS_PER_CENTURY = 36525;
+const UNIX_EPOCH_JD = 2440587.5;          // Julian date of 1970-01-01T00:00Z
+const MS_PER_DAY = 86400000;
+const DEG = Math.PI / 180;
+
+/**
+ * Planet elements at J2000 and their rates per Julian century:
+ *   a  semi-major axis (AU)      e  eccentricity      I  inclination (°)
+ *   L  mean longitude (°)        w  longitude of perihelion (°)
+ *   O  longitude of the ascending node (°)
+ * 'earth' is really the Earth-Moon barycentre, 4,700 km from Earth's centre.
+ */
+const PLANETS = {
+  mercury: {
+    a: [0.38709927, 0.00000037], e: [0.20563593, 0.00001906], I: [7.00497902, -0.00594749],
+    L: [252.25032350, 149472.67411175], w: [77.45779628, 0.16047689], O: [48.33076593, -0.12534081]
+  },
+  venus: {
+    a: [0.72333566, 0.00000390], e: [0.00677672, -0.00004107], I: [3.39467605, -0.00078890],
+    L: [181.97909950, 58517.81538729], w: [131.60246718, 0.00268329], O: [76.67984255, -0.27769418]
+  },
+  earth: {
+    a: [1.00000261, 0.00000562], e: [0.01671123, -0.00004392], I: [-0.00001531, -0.01294668],
+    L: [100.46457166, 35999.37244981], w: [102.93768193, 0.32327364], O: [0, 0]
+  },
+  mars: {
+    a: [1.52371034, 0.00001847], e: [0.09339410, 0.00007882], I: [1.84969142, -0.00813131],
+    L: [-4.55343205, 19140.30268499], w: [-23.94362959, 0.44441088], O: [49.55953891, -0.29257343]
+  },
+  jupiter: {
+    a: [5.20288700, -0.00011607], e: [0.04838624, -0.00013253], I: [1.30439695, -0.00183714],
+    L: [34.39644051, 3034.74612775], w: [14.72847983, 0.21252668], O: [100.47390909, 0.20469106]
+  },
+  saturn: {
+    a: [9.53667594, -0.00125060], e: [0.05386179, -0.00050991], I: [2.48599187, 0.00193609],
+    L: [49.95424423, 1222.49362201], w: [92.59887831, -0.41897216], O: [113.66242448, -0.28867794]
+  },
+  uranus: {
+    a: [19.18916464, -0.00196176], e: [0.04725744, -0.00004397], I: [0.77263783, -0.00242939],
+    L: [313.23810451, 428.48202785], w: [170.95427630, 0.40805281], O: [74.01692503, 0.04240589]
+  },
+  neptune: {
+    a: [30.06992276, 0.00026291], e: [0.00859048, 0.00005105], I: [1.77004347, 0.00035372],
+    L: [-55.12002969, 218.45945325], w: [44.96476227, -0.32241464], O: [131.78422574, -0.00508664]
+  }
+};
+
+/**
+ * Lunar series terms. Longitude and latitude are [amplitude (°), phase (°),
+ * rate (°/century)] sine terms; parallax is the same with cosines.
+ */
+const MOON_LONGITUDE = [
+  [6.29, 135.0, 477198.87], [-1.27, 259.3, -413335.36], [0.66, 235.7, 890534.22],
+  [0.21, 269.9, 954397.74], [-0.19, 357.5, 35999.05], [-0.11, 186.5, 966404.03]
+];
+const MOON_LATITUDE = [
+  [5.13, 93.3, 483202.02], [0.28, 228.2, 960400.89],
+  [-0.28, 318.3, 6003.15], [-0.17, 217.6, -407332.21]
+];
+const MOON_PARALLAX = [
+  [0.0518, 135.0, 477198.87], [0.0095, 259.3, -413335.36],
+  [0.0078, 235.7, 890534.22], [0.0028, 269.9, 954397.74]
+];
+const PRECESSION = 1.3972;                // general precession in longitude (°/century)
+
+/**
+ * Whether the ephemeris knows a body
+ * @param {string} name Body name, e.g. 'mars' or 'moon'
+ * @returns {boolean} True if positions are available
+ */
+export function hasEphemeris(name) {
+  return name === 'moon' || name in PLANETS;
+}
+
+/**
+ * Converts a calendar time to a Julian date
+ * @param {Date|number} date Date object or ms since the Unix epoch
+ * @returns {number} Julian date (days)
+ */
+export function julianDate(date) {
+  return Number(date) / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * Osculating-style Keplerian elements of a body on a date, in the same form
+ * as the orbits in systemConfig.js (angles in degrees)
+ * @param {string} name Body name
+ * @param {number} jd Julian date
+ * @returns {Object} semiMajorAxis (AU, or km for the Moon), eccentricity,
+ *   inclination, longitudeOfAscendingNode, argumentOfPeriapsis, meanAnomaly
+ *   and meanMotion (degrees per day)
+ */
+export function elementsAt(name, jd) {
+  if (name === 'moon') return moonElements(jd);
+
+  const p = PLANETS[name];
+  if (!p) throw new Error(`No ephemeris for "${name}"`);
+
+  const T = (jd - J2000) / DAYS_PER_CENTURY;
+  const at = ([value, rate]) => value + rate * T;
+  const L = at(p.L);
+  const w = at(p.w);
+  const O = at(p.O);
+
+  return {
+    semiMajorAxis: at(p.a),
+    eccentricity: at(p.e),
+    inclination: at(p.I),
+    longitudeOfAscendingNode: O,
+    argumentOfPeriapsis: w - O,
+    meanAnomaly: wrapDegrees(L - w),
+    meanMotion: p.L[1] / DAYS_PER_CENTURY
+  };
+}
+
+/**
+ * Position of a body on a date: heliocentric in AU for the planets,
+ * geocentric in km for the Moon
+ * @param {string} name Body name
+ * @param {number} jd Julian date
+ * @param {Object} [out] Object to write x, y, z into
+ * @returns {{x: number, y: number, z: number}} Ecliptic J2000 position
+ */
+export function eclipticPosition(name, jd, out = { x: 0, y: 0, z: 0 }) {
+  if (name === 'moon') return moonPosition(jd, out);
+  return keplerPosition(elementsAt(name, jd), out);
+}
+
+/**
+ * Position on a Keplerian orbit from the elements returned by elementsAt
+ * @param {Object} el Elements (angles in degrees)
+ * @param {Object} out Object to write x, y, z into
+ * @returns {{x: number, y: number, z: number}} Ecliptic position
+ */
+function keplerPosition(el, out) {
+  const a = el.semiMajorAxis;
+  const e = el.eccentricity;
+  const E = solveKepler(el.meanAnomaly * DEG, e);
+
+  // In the orbital plane, perihelion along +x
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cO = Math.cos(el.longitudeOfAscendingNode * DEG), sO = Math.sin(el.longitudeOfAscendingNode * DEG);
+  const cw = Math.cos(el.argumentOfPeriapsis * DEG),      sw = Math.sin(el.argumentOfPeriapsis * DEG);
+  const ci = Math.cos(el.inclination * DEG),              si = Math.sin(el.inclination * DEG);
+
+  out.x = (cw * cO - sw * sO * ci) * xp + (-sw * cO - cw * sO * ci) * yp;
+  out.y = (cw * sO + sw * cO * ci) * xp + (-sw * sO + cw * cO * ci) * yp;
+  out.z = (sw * si) * xp + (cw * si) * yp;
+  return out;
+}
+
+/**
+ * The Moon's geocentric position from the Astronomical Almanac series,
+ * precessed back from the equinox of date to J2000
+ * @param {number} jd Julian date
+ * @param {Object} out Object to write x, y, z into
+ * @returns {{x: number, y: number, z: number}} Ecliptic position in km
+ */
+function moonPosition(jd, out) {
+  const T = (jd - J2000) / DAYS_PER_CENTURY;
+  const series = (terms, fn) =>
+    terms.reduce((sum, [amp, phase, rate]) => sum + amp * fn((phase + rate * T) * DEG), 0);
+
+  const lon = (218.32 + 481267.881 * T + series(MOON_LONGITUDE, Math.sin) - PRECESSION * T) * DEG;
+  const lat = series(MOON_LATITUDE, Math.sin) * DEG;
+  const parallax = (0.9508 + series(MOON_PARALLAX, Math.cos)) * DEG;
+  const dist = EARTH_RADIUS_KM / Math.sin(parallax);
+
+  out.x = dist * Math.cos(lat) * Math.cos(lon);
+  out.y = dist * Math.cos(lat) * Math.sin(lon);
+  out.z = dist * Math.sin(lat);
+  return out;
+}
+
+/**
+ * The Moon's mean orbital elements on a date. The node regresses and the
+ * perigee advances quickly (18.6 and 8.85 year cycles), so these are only
+ * good for the orbit's shape; positions come from moonPosition.
+ * @param {number} jd Julian date
+ * @returns {Object} Elements in the same form as elementsAt
+ */
+function moonElements(jd) {
+  const d = jd - J2000 + 1.5;              // days from 2000 Jan 0.0, which the rates are given from
+  return {
+    semiMajorAxis: 384399,
+    eccentricity: 0.0549,
+    inclination: 5.1454,
+    longitudeOfAscendingNode: wrapDegrees(125.1228 - 0.0529538083 * d),
+    argumentOfPeriapsis: wrapDegrees(318.0634 + 0.1643573223 * d),
+    meanAnomaly: wrapDegrees(115.3654 + 13.0649929509 * d),
+    meanMotion: 13.0649929509
+  };
+}
+
+/**
+ * Wraps an angle into [0, 360)
+ * @param {number} degrees Angle
+ * @returns {number} The wrapped angle
+ */
+function wrapDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
@@ -0,0 +1,66 @@
+/**
+ * This file contains the floating origin. At true scale the scene spans
+ * billions of units, and the GPU only works in 32-bit floats, so anything
+ * far from the world origin jitters and its depth fights. Just before
+ * rendering, everything is shifted so the camera sits at the origin, where
+ * precision is best, and shifted back straight afterwards. The camera is
+ * normally at the ship, which is exactly where the detail is.
+ *
+ * World coordinates everywhere else (physics, autopilot, picking) stay
+ * absolute; only the render sees the shifted scene. The compressed layout
+ * doesn't need it (and the grid shader works in world space), so the shift
+ * can be switched off. The sky isn't in the scene at all (see sky.js).
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Creates the floating origin
+ * @param {THREE.Scene} scene The scene
+ * @param {THREE.Camera} camera The camera to centre on
+ * @returns {Object} The floating origin state
+ */
+export function createFloatingOrigin(scene, camera) {
+  return {
+    scene,
+    camera,
+    enabled: true,
+    shifted: false,                     // whether the last recentre moved anything
+    offset: new THREE.Vector3()         // how far the world was shifted
+  };
+}
+
+/**
+ * Shifts the world so the camera is at the origin. Call right before
+ * rendering, and restoreWorld right after.
+ * @param {Object} fo The floating origin state
+ */
+export function recentreWorld(fo) {
+  const { scene, camera, offset } = fo;
+  fo.shifted = fo.enabled;
+  if (!fo.shifted) return;
+
+  offset.copy(camera.position);
+  for (const child of scene.children) {
+    if (child !== camera) child.position.sub(offset);
+  }
+  camera.position.set(0, 0, 0);
+}
+
+/**
+ * Undoes recentreWorld and brings the world matrices back in line, so
+ * picking and anything else between frames sees world coordinates again
+ * @param {Object} fo The floating origin state
+ */
+export function restoreWorld(fo) {
+  const { scene, camera, offset } = fo;
+  if (!fo.shifted) return;
+  fo.shifted = false;
+
+  for (const child of scene.children) {
+    if (child !== camera) child.position.add(offset);
+  }
+  camera.position.copy(offset);
+  scene.updateMatrixWorld();
+  camera.updateMatrixWorld();
+}
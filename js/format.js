@@ -0,0 +1,21 @@
+/**
+ * This file contains the number formatting shared by the HUD, the info
+ * panel and the minimap, so the same quantity reads the same in all three.
+ */
+
+const SUFFIXES = [[1e9, 'B'], [1e6, 'M'], [1e3, 'k']];
+
+/**
+ * Formats a number to three significant figures, with a k/M/B suffix from a
+ * thousand up; true-scale distances run into the billions
+ * @param {number} value The number
+ * @returns {string} e.g. "0.0123", "12.5", "340", "45.2k" or "1.50M"
+ */
+export function formatNumber(value) {
+  // Round first, so 999.7 becomes "1.00k" rather than "1000"
+  const rounded = Number(value.toPrecision(3));
+  for (const [size, suffix] of SUFFIXES) {
+    if (Math.abs(rounded) >= size) return `${(rounded / size).toPrecision(3)}${suffix}`;
+  }
+  return String(rounded);
+}
@@ -3,309 +3,254 @@
  */
 
 import * as THREE from 'three';
-import { STAR_FIELD_RADIUS } from './constants.js';
+import { STAR_FIELD_RADIUS, NEBULA_QUALITY } from './constants.js';
+import { NEBULA_VERTEX_SHADER, NEBULA_FRAGMENT_SHADER } from './shaders.js';
+import { forkRandom } from './random.js';
 
 // Nebula configuration
 const NEBULA_COUNT = 5;
+const NEBULA_STEPS = { low: 24, medium: 48, high: 96 };  // raymarch steps per pixel for each quality
+
+// Galaxy configuration
 const GALAXY_COUNT = 3;
+const GALAXY_STARS = 20000;                              // stars in each galaxy
+const DUST_COLOR = [1.0, 0.6, 0.4];                      // starlight seen through a dust lane
+
+// Nebula colours: the gas, and the hotter core
+const NEBULA_PALETTES = [
+  { color: [0.4, 0.2, 0.6], core: [0.9, 0.6, 1.0] },  // Purple
+  { color: [0.2, 0.4, 0.6], core: [0.6, 0.9, 1.0] },  // Blue
+  { color: [0.6, 0.3, 0.2], core: [1.0, 0.8, 0.5] },  // Orange
+  { color: [0.2, 0.6, 0.4], core: [0.6, 1.0, 0.8] },  // Teal
+  { color: [0.5, 0.3, 0.5], core: [1.0, 0.6, 0.7] }   // Pink
+];
 
 /**
  * Creates distant galaxies and nebulae for the background
- * @param {THREE.Scene} scene The scene to add galaxies to
+ * @param {THREE.Object3D} scene The scene (or sky group) to add galaxies to
+ * @param {Function} random Seeded random number generator (see random.js)
+ * @returns {THREE.Points[]} The galaxies, which the galactic zoom can visit
  */
-export function createDistantGalaxies(scene) {
-  createNebulae(scene);
-  createGalaxies(scene);
+export function createDistantGalaxies(scene, random) {
+  createNebulae(scene, forkRandom(random));
+  return createGalaxies(scene, forkRandom(random));
 }
 
 /**
- * Creates colorful nebulae clouds in the background
+ * Creates glowing nebulae in the background: volumes of gas raymarched in
+ * the shader (see NEBULA_FRAGMENT_SHADER), so they keep their depth from
+ * any angle
  * @param {THREE.Scene} scene The scene to add nebulae to
+ * @param {Function} random Seeded random number generator
  */
-function createNebulae(scene) {
+function createNebulae(scene, random) {
   const radius = STAR_FIELD_RADIUS * 0.8; // Slightly inside the star field
-  
+  const geometry = new THREE.SphereGeometry(1, 32, 16);
+  const steps = NEBULA_STEPS[NEBULA_QUALITY] || NEBULA_STEPS.medium;
+
   for (let i = 0; i < NEBULA_COUNT; i++) {
     // Random position on sphere
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
     
     const x = radius * Math.sin(phi) * Math.cos(theta);
     const y = radius * Math.sin(phi) * Math.sin(theta);
     const z = radius * Math.cos(phi);
     
-    // Create nebula geometry (flat disc facing camera)
-    const size = 40 + Math.random() * 80;
-    const nebulaGeo = new THREE.PlaneGeometry(size, size);
-    
-    // Select color for this nebula (subtle pastel colors)
-    const colors = [
-      new THREE.Color(0.4, 0.2, 0.6), // Purple
-      new THREE.Color(0.2, 0.4, 0.6), // Blue
-      new THREE.Color(0.6, 0.3, 0.2), // Orange
-      new THREE.Color(0.2, 0.6, 0.4), // Teal
-      new THREE.Color(0.5, 0.3, 0.5)  // Pink
-    ];
-    const color = colors[Math.floor(Math.random() * colors.length)];
-    
-    // Create nebula material with fading edges
-    const nebulaMat = new THREE.MeshBasicMaterial({
-      map: createNebulaTexture(color),
+    // Size of the volume, squashed a little differently each way
+    const size = 25 + random() * 50;
+    const palette = NEBULA_PALETTES[Math.floor(random() * NEBULA_PALETTES.length)];
+
+    const nebulaMat = new THREE.ShaderMaterial({
+      defines: { STEPS: steps },
+      uniforms: {
+        color:     { value: new THREE.Color(...palette.color) },
+        coreColor: { value: new THREE.Color(...palette.core) },
+        density:   { value: 2 + random() * 3 },        // how thick the gas is
+        emission:  { value: 0.3 + random() * 0.3 },    // how brightly it glows
+        seed:      { value: random() * 100 }
+      },
+      vertexShader: NEBULA_VERTEX_SHADER,
+      fragmentShader: NEBULA_FRAGMENT_SHADER,
+      side: THREE.BackSide,
       transparent: true,
-      opacity: 0.3,
-      blending: THREE.AdditiveBlending,
-      side: THREE.DoubleSide,
+      premultipliedAlpha: true,
+      depthTest: false,
       depthWrite: false
     });
     
-    const nebula = new THREE.Mesh(nebulaGeo, nebulaMat);
-    
-    // Position and orient nebula to always face center
+    const nebula = new THREE.Mesh(geometry, nebulaMat);
     nebula.position.set(x, y, z);
-    nebula.lookAt(0, 0, 0);
-    
-    // Add rotation for variety
-    nebula.rotation.z = Math.random() * Math.PI * 2;
+    nebula.scale.set(size, size * (0.5 + 0.5 * random()), size * (0.7 + 0.3 * random()));
+    nebula.rotation.set(random() * Math.PI * 2, random() * Math.PI * 2, random() * Math.PI * 2);
+
+    // Drawn over the stars, so the thick of the gas can hide them; galaxies
+    // share the render order, so the two are sorted back to front
+    nebula.renderOrder = 1;
     
     scene.add(nebula);
   }
 }
 
-/**
- * Creates a texture for nebula with fading edges
- * @param {THREE.Color} color Base color for the nebula
- * @returns {THREE.Texture} The nebula texture
- */
-function createNebulaTexture(color) {
-  const canvas = document.createElement('canvas');
-  canvas.width = 256;
-  canvas.height = 256;
-  
-  const ctx = canvas.getContext('2d');
-  
-  // Create circular gradient
-  const gradient = ctx.createRadialGradient(
-    canvas.width / 2, canvas.height / 2, 0,
-    canvas.width / 2, canvas.height / 2, canvas.width / 2
-  );
-  
-  // Color at center (more opaque)
-  gradient.addColorStop(0, `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.5)`);
-  // Color at edges (transparent)
-  gradient.addColorStop(1, `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0)`);
-  
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  // Add some noise for texture
-  addNoiseToCanvas(ctx, canvas.width, canvas.height, 0.2);
-  
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-  return texture;
-}
-
 /**
  * Creates distant spiral galaxies
  * @param {THREE.Scene} scene The scene to add galaxies to
+ * @param {Function} random Seeded random number generator
+ * @returns {THREE.Points[]} The galaxies
  */
-function createGalaxies(scene) {
+function createGalaxies(scene, random) {
   const radius = STAR_FIELD_RADIUS * 0.9; // Further out than nebulae
+  const texture = createGlowTexture();
+  const galaxies = [];
   
   for (let i = 0; i < GALAXY_COUNT; i++) {
     // Random position on sphere
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
     
     const x = radius * Math.sin(phi) * Math.cos(theta);
     const y = radius * Math.sin(phi) * Math.sin(theta);
     const z = radius * Math.cos(phi);
     
-    // Create galaxy geometry (flat disc)
-    const size = 80 + Math.random() * 120;
-    const galaxyGeo = new THREE.PlaneGeometry(size, size);
-    
-    // Create galaxy texture and material
-    const galaxyMat = new THREE.MeshBasicMaterial({
-      map: createGalaxyTexture(),
-      transparent: true,
-      opacity: 0.5,
-      blending: THREE.AdditiveBlending,
-      side: THREE.DoubleSide,
-      depthWrite: false
-    });
-    
-    const galaxy = new THREE.Mesh(galaxyGeo, galaxyMat);
+    // Create the galaxy's stars, a disc in its XY plane
+    const size = 80 + random() * 120;
+    const galaxy = createGalaxyPoints(size, texture, random);
     
     // Position and orient galaxy to face center (more or less)
     galaxy.position.set(x, y, z);
     galaxy.lookAt(0, 0, 0);
     
     // Tilt galaxy slightly for realism
-    galaxy.rotation.z = Math.random() * Math.PI;
-    galaxy.rotation.x += (Math.random() - 0.5) * 0.5;
-    galaxy.rotation.y += (Math.random() - 0.5) * 0.5;
+    galaxy.rotation.z = random() * Math.PI;
+    galaxy.rotation.x += (random() - 0.5) * 0.5;
+    galaxy.rotation.y += (random() - 0.5) * 0.5;
     
+    // Sorted with the nebulae, so one in front of the other covers it
+    galaxy.renderOrder = 1;
+
     scene.add(galaxy);
+    galaxies.push(galaxy);
   }
+
+  return galaxies;
 }
 
 /**
- * Creates a texture for spiral galaxy
- * @returns {THREE.Texture} The galaxy texture
+ * Creates a spiral galaxy as a cloud of stars: a bulge of old yellow stars,
+ * a thin disc, and arms wound along a logarithmic spiral (θ = α * ln(r))
+ * with dust lanes dimming and reddening the stars just behind them
+ * @param {number} size Diameter of the galaxy
+ * @param {THREE.Texture} texture Sprite for each star
+ * @param {Function} random Seeded random number generator
+ * @returns {THREE.Points} The galaxy, its disc in the XY plane
  */
-function createGalaxyTexture() {
-  const canvas = document.createElement('canvas');
-  canvas.width = 512;
-  canvas.height = 512;
-  
-  const ctx = canvas.getContext('2d');
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  
-  // Clear canvas
-  ctx.fillStyle = 'rgba(0, 0, 0, 0)';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  // Draw galaxy core
-  const coreGradient = ctx.createRadialGradient(
-    centerX, centerY, 0,
-    centerX, centerY, 50
-  );
-  
-  coreGradient.addColorStop(0, 'rgba(255, 255, 200, 0.8)');
-  coreGradient.addColorStop(1, 'rgba(255, 255, 200, 0)');
-  
-  ctx.fillStyle = coreGradient;
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, 50, 0, Math.PI * 2);
-  ctx.fill();
-  
-  // Draw spiral arms
-  const armCount = 2 + Math.floor(Math.random() * 2); // 2-3 arms
-  const armSwirlFactor = 0.2 + Math.random() * 0.3; // Controls how tightly wound the arms are
-  const armWidth = 0.15 + Math.random() * 0.1; // Width of the arms as a fraction of radius
-  const maxRadius = canvas.width / 2 - 10; // Maximum radius of the spiral arms
+function createGalaxyPoints(size, texture, random) {
+  const maxRadius = size / 2;
+  const armCount = 2 + Math.floor(random() * 2); // 2-3 arms
+  const armSwirlFactor = 0.8 + random() * 0.8; // Controls how tightly wound the arms are
+  const armWidth = 0.15 + random() * 0.1; // Width of the arms as a fraction of radius
+  const thickness = 0.03 * size; // Scale height of the disc
   
   // Choose galaxy color theme
   const themes = [
-    { primary: [255, 240, 220], secondary: [255, 200, 150] }, // Yellowish
-    { primary: [220, 230, 255], secondary: [180, 190, 255] }, // Blueish
-    { primary: [255, 230, 230], secondary: [255, 180, 180] }  // Reddish
+    { primary: [1.0, 0.94, 0.86], secondary: [1.0, 0.78, 0.59] }, // Yellowish
+    { primary: [0.86, 0.9, 1.0], secondary: [0.71, 0.75, 1.0] },  // Blueish
+    { primary: [1.0, 0.9, 0.9], secondary: [1.0, 0.71, 0.71] }    // Reddish
   ];
-  const theme = themes[Math.floor(Math.random() * themes.length)];
-  
-  // Draw each spiral arm
-  for (let arm = 0; arm < armCount; arm++) {
-    const armAngleOffset = (arm * 2 * Math.PI) / armCount;
-    
-    // Draw star particles along the spiral
-    for (let i = 0; i < 2000; i++) {
-      // Random distance from center (more particles toward the outside)
-      const distance = Math.pow(Math.random(), 0.5) * maxRadius;
-      if (distance < 30) continue; // Skip core region
-      
-      // Calculate angle based on spiral equation: θ = α * ln(r)
-      const angle = armAngleOffset + armSwirlFactor * Math.log(distance);
-      
+  const theme = themes[Math.floor(random() * themes.length)];
+  const bulgeColor = [1.0, 0.9, 0.7];
+
+  const positions = [];
+  const colors = [];
+  const addStar = (x, y, z, color, brightness) => {
+    positions.push(x, y, z);
+    colors.push(color[0] * brightness, color[1] * brightness, color[2] * brightness);
+  };
+  // Roughly normal, for heights above the disc (sum of uniforms)
+  const spread = () => (random() + random() + random() - 1.5) / 1.5;
+
+  for (let i = 0; i < GALAXY_STARS; i++) {
+    const kind = random();
+
+    if (kind < 0.2) {
+      // Bulge: a squashed ball packed toward the middle
+      const r = maxRadius * 0.18 * random() ** 2;
+      const theta = random() * Math.PI * 2;
+      const cosPhi = 2 * random() - 1;
+      const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+      addStar(r * sinPhi * Math.cos(theta), r * sinPhi * Math.sin(theta), r * cosPhi * 0.6,
+        bulgeColor, 0.2 + 0.2 * random());
+    } else if (kind < 0.45) {
+      // Disc: thins out exponentially, no arms
+      const r = -Math.log(1 - 0.95 * random()) * maxRadius * 0.3;
+      const angle = random() * Math.PI * 2;
+      addStar(r * Math.cos(angle), r * Math.sin(angle), spread() * thickness,
+        theme.primary, 0.15 + 0.15 * random());
+    } else {
+      // Arms: more stars toward the outside, scattered either side of the spiral
+      const distance = Math.max(Math.sqrt(random()), 0.08) * maxRadius;
+      const arm = Math.floor(random() * armCount);
+      const armAngleOffset = (arm * 2 * Math.PI) / armCount;
+      const angle = armAngleOffset + armSwirlFactor * Math.log(distance / maxRadius);
+
       // Add random deviation from perfect spiral
-      const deviation = (Math.random() - 0.5) * armWidth * distance;
-      const armAngle = angle + deviation / distance;
-      
-      // Calculate position
-      const x = centerX + distance * Math.cos(armAngle);
-      const y = centerY + distance * Math.sin(armAngle);
-      
-      // Skip if outside canvas
-      if (x < 0 || x >= canvas.width || y < 0 || y >= canvas.height) continue;
-      
-      // Determine brightness and size of this star
-      const brightness = 0.7 + 0.3 * Math.random();
-      const size = Math.random() < 0.05 ? 2 : 1; // Some stars are bigger
-      
-      // Choose color - mix primary/secondary based on position in arm
-      const useSecondary = Math.random() < 0.4; // 40% chance of secondary color
-      const color = useSecondary ? theme.secondary : theme.primary;
-      
-      // Draw the star
-      ctx.fillStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${brightness})`;
-      ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  }
-  
-  // Add dust lanes (darker areas within the arms)
-  for (let arm = 0; arm < armCount; arm++) {
-    const armAngleOffset = (arm * 2 * Math.PI) / armCount + 0.2; // Offset from bright area
-    
-    for (let i = 0; i < 300; i++) {
-      const distance = 50 + Math.pow(Math.random(), 0.6) * (maxRadius - 50);
-      const angle = armAngleOffset + armSwirlFactor * Math.log(distance);
-      
-      // Tighter concentration for dust lanes
-      const deviation = (Math.random() - 0.5) * armWidth * distance * 0.5;
-      const armAngle = angle + deviation / distance;
-      
-      const x = centerX + distance * Math.cos(armAngle);
-      const y = centerY + distance * Math.sin(armAngle);
-      
-      if (x < 0 || x >= canvas.width || y < 0 || y >= canvas.height) continue;
-      
-      // Dust is dark and semi-transparent
-      ctx.fillStyle = 'rgba(10, 10, 10, 0.3)';
-      ctx.beginPath();
-      ctx.arc(x, y, 1 + Math.random() * 2, 0, Math.PI * 2);
-      ctx.fill();
+      const deviation = spread() * armWidth;
+      const armAngle = angle + deviation;
+
+      // Dust lanes run along one edge of each arm
+      const inLane = deviation > 0.2 * armWidth && deviation < 0.6 * armWidth;
+      const useSecondary = random() < 0.4; // 40% chance of secondary color
+      const color = inLane ? DUST_COLOR : useSecondary ? theme.secondary : theme.primary;
+      const brightness = (0.3 + 0.3 * random()) * (inLane ? 0.25 : 1);
+
+      addStar(distance * Math.cos(armAngle), distance * Math.sin(armAngle), spread() * thickness * 0.6,
+        color, brightness);
     }
   }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+  const material = new THREE.PointsMaterial({
+    size: size * 0.012,
+    map: texture,
+    vertexColors: true,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    sizeAttenuation: true
+  });
+
+  const galaxy = new THREE.Points(geometry, material);
+  galaxy.name = 'galaxy';
+  galaxy.userData.size = size;
+  return galaxy;
+}
+
+/**
+ * Creates a soft round sprite for the galaxies' stars
+ * @returns {THREE.Texture} The texture
+ */
+function createGlowTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 32;
   
-  // Apply a subtle glow effect around the galaxy
-  const glowGradient = ctx.createRadialGradient(
-    centerX, centerY, maxRadius * 0.7,
-    centerX, centerY, maxRadius
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createRadialGradient(
+    canvas.width / 2, canvas.height / 2, 0,
+    canvas.width / 2, canvas.height / 2, canvas.width / 2
   );
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.5)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
   
-  const glowColor = theme.primary;
-  glowGradient.addColorStop(0, `rgba(${glowColor[0]}, ${glowColor[1]}, ${glowColor[2]}, 0)`);
-  glowGradient.addColorStop(1, `rgba(${glowColor[0]}, ${glowColor[1]}, ${glowColor[2]}, 0.1)`);
-  
-  ctx.fillStyle = glowGradient;
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, maxRadius, 0, Math.PI * 2);
-  ctx.fill();
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
   
   // Create texture from canvas
   const texture = new THREE.CanvasTexture(canvas);
   texture.needsUpdate = true;
   return texture;
 }
-
-/**
- * Adds noise to a canvas context for more realistic textures
- * @param {CanvasRenderingContext2D} ctx Canvas context to add noise to
- * @param {number} width Canvas width
- * @param {number} height Canvas height
- * @param {number} intensity Noise intensity (0-1)
- */
-function addNoiseToCanvas(ctx, width, height, intensity) {
-  // Get the current image data
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
-  
-  // Add noise to each pixel
-  for (let i = 0; i < data.length; i += 4) {
-    if (data[i + 3] > 0) { // Only add noise to non-transparent pixels
-      // Generate noise value (-intensity to +intensity)
-      const noise = (Math.random() * 2 - 1) * intensity * 255;
-      
-      // Apply noise to RGB channels
-      data[i] = Math.max(0, Math.min(255, data[i] + noise));
-      data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise));
-      data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise));
-    }
-  }
-  
-  // Put the modified image data back
-  ctx.putImageData(imageData, 0, 0);
-}
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * This file contains the optional Newtonian gravity simulation. In 'ship'
+ * mode only the ship feels gravity; in 'full' mode the bodies are also
+ * integrated against each other instead of following their Kepler orbits.
+ * Both use a fixed-timestep kick-drift-kick leapfrog, which is symplectic
+ * and keeps orbits from slowly spiralling in or out.
+ *
+ * Forces use ORB_G (the same constant the orbit speeds come from) and
+ * DIP_FALLOFF as Plummer softening: the force is the gradient of the
+ * potential ORB_G·m / sqrt(r² + DIP_FALLOFF). The grid dip is that same
+ * potential times GRID_DIP_SCALE (see grid.js), so the steeper the grid,
+ * the harder the pull.
+ *
+ * The masses and ORB_G are tuned to the compressed layout, so gravity is
+ * only available there (see scale.js).
+ *
+ * Moons stay on their Kepler orbits around their (integrated) parent: with
+ * our compressed distances they sit far outside their planet's Hill sphere
+ * (Earth's is ~4 units, the Moon orbits at 20) and would just be stripped
+ * away by the Sun. They still pull on everything else.
+ */
+
+import * as THREE from 'three';
+import { ORB_G, DIP_FALLOFF } from './constants.js';
+
+export const GRAVITY_MODES = ['off', 'ship', 'full'];
+
+const FIXED_DT = 1 / 120;       // integration step (seconds)
+const MAX_STEPS = 240;          // per frame; anything beyond is treated as a jump
+
+// Scratch vectors so the per-frame path doesn't allocate
+const _d = new THREE.Vector3();
+const _acc = new THREE.Vector3();
+
+/**
+ * Creates the gravity simulation for a solar system
+ * @param {Object} system The system returned by createSolarSystem
+ * @returns {Object} The gravity state
+ */
+export function createGravity(system) {
+  const gravity = {
+    mode: 'off',
+    available: true,            // masses are tuned to the compressed layout only
+    bodyTime: null,             // scene time the integrated bodies are at
+    bodyAccumulator: 0,
+    shipAccumulator: 0,
+    sources: system.bodies.map(body => ({
+      body,
+      mass: body.def.mass,
+      integrate: !body.parent || !body.parent.parent,   // star and planets only
+      position: new THREE.Vector3(),     // world space
+      velocity: new THREE.Vector3(),     // world space, only used in 'full'
+      acceleration: new THREE.Vector3()
+    }))
+  };
+  gravity.integrated = gravity.sources.filter(src => src.integrate);
+  return gravity;
+}
+
+/**
+ * Set up the keyboard shortcut that cycles the gravity mode (G)
+ * @param {Object} gravity The gravity state
+ */
+export function setupGravityControls(gravity) {
+  window.addEventListener('keydown', e => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.code === 'KeyG' && gravity.available) {
+      const next = (GRAVITY_MODES.indexOf(gravity.mode) + 1) % GRAVITY_MODES.length;
+      setGravityMode(gravity, GRAVITY_MODES[next]);
+    }
+  });
+}
+
+/**
+ * Switches gravity mode. Leaving 'full' hands the bodies back to their
+ * Kepler orbits; entering it seeds from them on the next update.
+ * @param {Object} gravity The gravity state
+ * @param {string} mode One of GRAVITY_MODES
+ */
+export function setGravityMode(gravity, mode) {
+  gravity.mode = mode;
+  gravity.shipAccumulator = 0;
+  releaseBodies(gravity);
+}
+
+/**
+ * Brings the gravity sources up to date. Call after updateCelestialBodies.
+ * @param {Object} gravity The gravity state
+ * @param {number} time Current scene time
+ */
+export function updateGravity(gravity, time) {
+  if (gravity.mode !== 'full') {
+    for (const src of gravity.sources) src.body.anchor.getWorldPosition(src.position);
+    return;
+  }
+
+  if (gravity.bodyTime === null) {
+    seedBodies(gravity, time);
+    return;
+  }
+
+  // Integrate toward the new time in fixed steps (negative when time runs backwards)
+  gravity.bodyAccumulator += time - gravity.bodyTime;
+  gravity.bodyTime = time;
+
+  const steps = Math.floor(Math.abs(gravity.bodyAccumulator) / FIXED_DT);
+  if (steps > MAX_STEPS) {
+    // Too far to integrate (a date jump): resync from the Kepler orbits
+    releaseBodies(gravity);
+    return;
+  }
+
+  const h = Math.sign(gravity.bodyAccumulator) * FIXED_DT;
+  for (let i = 0; i < steps; i++) stepBodies(gravity, h);
+  gravity.bodyAccumulator -= steps * h;
+
+  // Write integrated state back into the (parent-relative) hierarchy,
+  // then pick up where that left the moons
+  for (const src of gravity.sources) {
+    const body = src.body;
+    if (!src.integrate) {
+      body.anchor.getWorldPosition(src.position);
+      continue;
+    }
+    body.anchor.position.copy(src.position);
+    body.velocity.copy(src.velocity);
+    if (body.parent) {
+      const parentSrc = sourceFor(gravity, body.parent);
+      body.anchor.position.sub(parentSrc.position);
+      body.velocity.sub(parentSrc.velocity);
+    }
+  }
+}
+
+/**
+ * Gravitational acceleration at a point from every body
+ * @param {Object} gravity The gravity state
+ * @param {THREE.Vector3} position World-space position
+ * @param {THREE.Vector3} out Vector to write the acceleration into
+ * @param {Object} [exclude] A source to leave out (a body doesn't pull itself)
+ * @returns {THREE.Vector3} The acceleration
+ */
+export function accelerationAt(gravity, position, out, exclude) {
+  out.set(0, 0, 0);
+  for (const src of gravity.sources) {
+    if (src === exclude) continue;
+    _d.subVectors(src.position, position);
+    const r2 = _d.lengthSq() + DIP_FALLOFF;
+    out.addScaledVector(_d, ORB_G * src.mass / (r2 * Math.sqrt(r2)));
+  }
+  return out;
+}
+
+/**
+ * Advances the ship under gravity plus a constant thrust acceleration using
+ * fixed steps of real time
+ * @param {Object} gravity The gravity state
+ * @param {THREE.Vector3} position Ship position (updated in place)
+ * @param {THREE.Vector3} velocity Ship velocity (updated in place)
+ * @param {THREE.Vector3} thrust Thrust acceleration for this frame
+ * @param {number} delta Real seconds since the last frame
+ */
+export function stepShip(gravity, position, velocity, thrust, delta) {
+  gravity.shipAccumulator = Math.min(gravity.shipAccumulator + delta, MAX_STEPS * FIXED_DT);
+
+  while (gravity.shipAccumulator >= FIXED_DT) {
+    accelerationAt(gravity, position, _acc).add(thrust);
+    velocity.addScaledVector(_acc, FIXED_DT / 2);
+    position.addScaledVector(velocity, FIXED_DT);
+    accelerationAt(gravity, position, _acc).add(thrust);
+    velocity.addScaledVector(_acc, FIXED_DT / 2);
+    gravity.shipAccumulator -= FIXED_DT;
+  }
+}
+
+/**
+ * One leapfrog step for all bodies
+ * @param {Object} gravity The gravity state
+ * @param {number} h Step size (may be negative)
+ */
+function stepBodies(gravity, h) {
+  const sources = gravity.integrated;
+  for (const src of sources) src.velocity.addScaledVector(src.acceleration, h / 2);
+  for (const src of sources) src.position.addScaledVector(src.velocity, h);
+  for (const src of sources) accelerationAt(gravity, src.position, src.acceleration, src);
+  for (const src of sources) src.velocity.addScaledVector(src.acceleration, h / 2);
+}
+
+/**
+ * Takes over the bodies from their Kepler orbits at their current state
+ * @param {Object} gravity The gravity state
+ * @param {number} time Current scene time
+ */
+function seedBodies(gravity, time) {
+  const momentum = new THREE.Vector3();
+  let totalMass = 0;
+
+  for (const src of gravity.sources) {
+    const body = src.body;
+    body.anchor.getWorldPosition(src.position);
+    if (!src.integrate) continue;
+
+    // Kepler velocities are parent-relative; sum them up the chain. Orbits
+    // that follow the ephemeris run at their real speed, which our masses
+    // can't hold (Neptune would fall into the Sun), so each is scaled to the
+    // speed our masses give the same orbit.
+    src.velocity.set(0, 0, 0);
+    for (let b = body; b; b = b.parent) {
+      const el = b.elements;
+      src.velocity.addScaledVector(b.velocity, el ? el.naturalMotion / el.meanMotion : 1);
+    }
+
+    momentum.addScaledVector(src.velocity, src.mass);
+    totalMass += src.mass;
+    body.integrated = true;
+  }
+
+  // Remove net momentum so the whole system doesn't drift off
+  momentum.divideScalar(totalMass);
+  for (const src of gravity.integrated) src.velocity.sub(momentum);
+
+  for (const src of gravity.integrated) accelerationAt(gravity, src.position, src.acceleration, src);
+  gravity.bodyTime = time;
+  gravity.bodyAccumulator = 0;
+}
+
+/**
+ * Hands every body back to its Kepler orbit
+ * @param {Object} gravity The gravity state
+ */
+function releaseBodies(gravity) {
+  for (const src of gravity.sources) src.body.integrated = false;
+  gravity.bodyTime = null;
+}
+
+/**
+ * Finds the gravity source for a body
+ * @param {Object} gravity The gravity state
+ * @param {Object} body A body from the system
+ * @returns {Object} The matching source
+ */
+function sourceFor(gravity, body) {
+  return gravity.sources.find(src => src.body === body);
+}
@@ -10,10 +10,10 @@ import {
 import { 
   GRID_SIZE, 
   GRID_DIVISIONS, 
-  GRAVITY, 
-  SOLAR_MASS, 
+  GRID_DIP_SCALE,
+  ORB_G,
   DIP_FALLOFF, 
-  EARTH_MASS 
+  MAX_GRID_WELLS
 } from './constants.js';
 
 /**
@@ -32,18 +32,17 @@ export function createGrid() {
   const gridMat = new THREE.ShaderMaterial({
     transparent: true,
     depthWrite: false,
+    defines: { MAX_WELLS: MAX_GRID_WELLS },
     vertexShader: GRID_VERTEX_SHADER,
     fragmentShader: GRID_FRAGMENT_SHADER
   });
   
   // Set uniforms for the grid material
   gridMat.uniforms = {
-    sunPos:     { value: new THREE.Vector3(0, 0, 0) },
-    mass:       { value: SOLAR_MASS },
-    G:          { value: GRAVITY },
+    wells:      { value: Array.from({ length: MAX_GRID_WELLS }, () => new THREE.Vector4()) },
+    wellCount:  { value: 0 },
+    potentialScale: { value: GRID_DIP_SCALE * ORB_G },
     falloff:    { value: DIP_FALLOFF },
-    earthPos:   { value: new THREE.Vector3() },
-    earthMass:  { value: EARTH_MASS },
     gridColor:  { value: new THREE.Color(0.8, 0.8, 0.8) },
     opacity:    { value: 0.3 },
     spacing:    { value: 2.0 },
@@ -59,3 +58,40 @@ export function createGrid() {
   
   return { mesh: gridMesh, material: gridMat };
 }
+
+/**
+ * Moves the grid's gravity wells to follow the bodies
+ * @param {THREE.ShaderMaterial} gridMaterial The grid material
+ * @param {Array<Object>} sources Gravity sources with world `position` and `mass`
+ */
+export function updateGridWells(gridMaterial, sources) {
+  const wells = gridMaterial.uniforms.wells.value;
+  const count = Math.min(sources.length, MAX_GRID_WELLS);
+
+  for (let i = 0; i < count; i++) {
+    const { position, mass } = sources[i];
+    wells[i].set(position.x, position.y, position.z, mass);
+  }
+  gridMaterial.uniforms.wellCount.value = count;
+}
+
+/**
+ * Depth of the grid's gravity well at a point, using the same sum as
+ * GRID_VERTEX_SHADER so it matches what's drawn: GRID_DIP_SCALE times the
+ * Plummer potential ORB_G·m / sqrt(d² + DIP_FALLOFF) whose gradient is the
+ * force in gravity.js
+ * @param {THREE.ShaderMaterial} gridMaterial The grid material
+ * @param {number} x World x
+ * @param {number} z World z
+ * @returns {number} How far the grid is pulled down there (units)
+ */
+export function gridDipAt(gridMaterial, x, z) {
+  const { wells, wellCount, potentialScale, falloff } = gridMaterial.uniforms;
+  let dip = 0;
+  for (let i = 0; i < wellCount.value; i++) {
+    const well = wells.value[i];
+    const d = Math.hypot(x - well.x, z - well.z);
+    dip += potentialScale.value * well.w / Math.sqrt(d * d + falloff.value);
+  }
+  return dip;
+}
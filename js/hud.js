@@ -0,0 +1,256 @@
+/**
+ * This file contains the heads-up display: speed against the ship's top
+ * speed, heading, the nearest body, gravity at the ship, and a marker for
+ * every body giving its distance and bearing. Bodies that are off screen get
+ * an arrow pinned to the screen edge pointing the way to turn.
+ *
+ * Everything is created up front; the per-frame update only reuses scratch
+ * vectors and writes to the DOM when a displayed value actually changes.
+ */
+
+import * as THREE from 'three';
+import { gridDipAt } from './grid.js';
+import { accelerationAt } from './gravity.js';
+import { getActiveShip, getShipVelocity, flight } from './xwing.js';
+import { wasPressed } from './input.js';
+import { formatNumber } from './format.js';
+
+const EDGE_MARGIN = 24;           // pixels between edge arrows and the screen edge
+const RAD2DEG = 180 / Math.PI;
+
+// Scratch objects so the per-frame path doesn't allocate
+const _bodyPos = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+const _acc = new THREE.Vector3();
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Creates the HUD (toggled with H)
+ * @param {Object} options
+ * @param {Object} options.system The system returned by createSolarSystem
+ * @param {THREE.Object3D} options.ship The player ship
+ * @param {THREE.Camera} options.camera The scene camera
+ * @param {THREE.ShaderMaterial} options.gridMaterial The grid material (for well depth)
+ * @param {Object} options.gravity The gravity state
+ * @returns {Object} The HUD state
+ */
+export function createHud({ system, ship, camera, gridMaterial, gravity }) {
+  const root = document.createElement('div');
+  root.className = 'hud';
+
+  const readout = document.createElement('div');
+  readout.className = 'panel hud-readout';
+  const speedBar = document.createElement('div');
+  speedBar.className = 'hud-speed-bar';
+  const speedFill = document.createElement('div');
+  speedBar.appendChild(speedFill);
+
+  const rows = {};
+  for (const key of ['speed', 'heading', 'nearest', 'well', 'gravity']) {
+    rows[key] = document.createElement('div');
+    readout.appendChild(rows[key]);
+    if (key === 'speed') readout.appendChild(speedBar);
+  }
+  root.appendChild(readout);
+
+  const markers = system.bodies.map(body => {
+    const el = document.createElement('div');
+    el.className = 'hud-marker';
+    const arrow = document.createElement('div');
+    arrow.className = 'hud-arrow';
+    arrow.textContent = '➤';
+    const label = document.createElement('span');
+    el.append(arrow, label);
+    root.appendChild(el);
+    return { body, el, arrow, label, text: '', x: NaN, y: NaN, angle: NaN, offscreen: null };
+  });
+
+  document.body.appendChild(root);
+
+  const hud = {
+    system,
+    ship,
+    camera,
+    gridMaterial,
+    gravity,
+    root,
+    rows,
+    speedFill,
+    markers,
+    visible: true,
+    texts: {},                  // row key -> last text written
+    fill: NaN
+  };
+
+  return hud;
+}
+
+/**
+ * Shows or hides the HUD
+ * @param {Object} hud The HUD state
+ * @param {boolean} visible Whether to show it
+ */
+export function setHudVisible(hud, visible) {
+  hud.visible = visible;
+  hud.root.hidden = !visible;
+}
+
+/**
+ * Refreshes the HUD, and shows or hides it on the toggleHud action (H).
+ * Call after pollInput and after the ship, bodies and camera have moved.
+ * @param {Object} hud The HUD state
+ */
+export function updateHud(hud) {
+  if (wasPressed('toggleHud')) setHudVisible(hud, !hud.visible);
+  if (!hud.visible) return;
+
+  const { ship, camera } = hud;
+  const handling = getActiveShip().handling;
+
+  // Speed against the ship's (unboosted) top speed
+  const speed = getShipVelocity().length();
+  const topSpeed = handling.maxVelocity * flight.speedScale;
+  setRow(hud, 'speed', `SPD ${formatNumber(speed)} / ${formatNumber(topSpeed)} u/s`);
+  const fill = Math.round(Math.min(speed / topSpeed, 1) * 100);
+  if (fill !== hud.fill) {
+    hud.fill = fill;
+    hud.speedFill.style.width = `${fill}%`;
+    hud.speedFill.className = speed > topSpeed ? 'over' : '';
+  }
+
+  // Heading: compass angle of the nose in the x-z plane (0° = +z)
+  _forward.copy(AXIS_Z).applyQuaternion(ship.quaternion);
+  const heading = compassAngle(_forward.x, _forward.z);
+  const pitch = Math.asin(THREE.MathUtils.clamp(_forward.y, -1, 1)) * RAD2DEG;
+  setRow(hud, 'heading', `HDG ${pad3(heading)}°  PIT ${Math.round(pitch)}°`);
+
+  // Gravity: depth of the grid well under the ship, and the pull when it's on
+  const dip = gridDipAt(hud.gridMaterial, ship.position.x, ship.position.z);
+  setRow(hud, 'well', `WELL ${dip.toFixed(2)} u deep`);
+  if (hud.gravity.mode === 'off') {
+    setRow(hud, 'gravity', 'GRAV off');
+  } else {
+    accelerationAt(hud.gravity, ship.position, _acc);
+    setRow(hud, 'gravity', `GRAV ${_acc.length().toFixed(2)} u/s²`);
+  }
+
+  // Body markers, and the nearest body along the way
+  camera.updateMatrixWorld();
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  let nearest = null;
+  let nearestDist = Infinity;
+
+  for (const marker of hud.markers) {
+    const body = marker.body;
+    body.anchor.getWorldPosition(_bodyPos);
+    const dist = Math.max(0, ship.position.distanceTo(_bodyPos) - body.radius);
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = body;
+    }
+
+    const bearing = compassAngle(_bodyPos.x - ship.position.x, _bodyPos.z - ship.position.z);
+    const text = `${body.def.label} ${formatDistance(dist)} ${pad3(bearing)}°`;
+    if (text !== marker.text) {
+      marker.text = text;
+      marker.label.textContent = text;
+    }
+
+    placeMarker(marker, _bodyPos, camera, width, height);
+  }
+
+  if (nearest) {
+    setRow(hud, 'nearest', `NEAR ${nearest.def.label} ${formatDistance(nearestDist)}`);
+  }
+}
+
+/**
+ * Positions a body marker on screen, or pins it to the nearest screen edge
+ * with its arrow pointing toward the body
+ * @param {Object} marker The marker
+ * @param {THREE.Vector3} position The body's world position
+ * @param {THREE.Camera} camera The scene camera
+ * @param {number} width Viewport width in pixels
+ * @param {number} height Viewport height in pixels
+ */
+function placeMarker(marker, position, camera, width, height) {
+  _ndc.copy(position).project(camera);
+
+  // Behind the camera the projection is mirrored; flip it back so the
+  // arrow still points the right way
+  const behind = _ndc.z > 1;
+  let nx = behind ? -_ndc.x : _ndc.x;
+  let ny = behind ? -_ndc.y : _ndc.y;
+  const offscreen = behind || Math.abs(nx) > 1 || Math.abs(ny) > 1;
+
+  let angle = 0;
+  if (offscreen) {
+    // Scale the direction out to the margin rectangle
+    angle = Math.atan2(-ny, nx);
+    const limitX = 1 - 2 * EDGE_MARGIN / width;
+    const limitY = 1 - 2 * EDGE_MARGIN / height;
+    const scale = Math.min(limitX / Math.abs(nx || 1e-6), limitY / Math.abs(ny || 1e-6));
+    nx *= scale;
+    ny *= scale;
+  }
+
+  const x = Math.round((nx + 1) / 2 * width);
+  const y = Math.round((1 - ny) / 2 * height);
+  const degrees = Math.round(angle * RAD2DEG);
+
+  if (x !== marker.x || y !== marker.y) {
+    marker.x = x;
+    marker.y = y;
+    marker.el.style.transform = `translate(${x}px, ${y}px)`;
+  }
+  if (offscreen !== marker.offscreen) {
+    marker.offscreen = offscreen;
+    marker.el.classList.toggle('offscreen', offscreen);
+  }
+  if (offscreen && degrees !== marker.angle) {
+    marker.angle = degrees;
+    marker.arrow.style.transform = `rotate(${degrees}deg)`;
+  }
+}
+
+/**
+ * Writes a readout row if its text changed
+ * @param {Object} hud The HUD state
+ * @param {string} key Row key
+ * @param {string} text New text
+ */
+function setRow(hud, key, text) {
+  if (hud.texts[key] === text) return;
+  hud.texts[key] = text;
+  hud.rows[key].textContent = text;
+}
+
+/**
+ * Compass angle of a direction in the x-z plane
+ * @param {number} x Direction x
+ * @param {number} z Direction z
+ * @returns {number} Whole degrees from 0 to 359, 0 being +z
+ */
+function compassAngle(x, z) {
+  return (Math.round(Math.atan2(x, z) * RAD2DEG) + 360) % 360;
+}
+
+/**
+ * Pads an angle to three digits, compass style
+ * @param {number} degrees Whole degrees
+ * @returns {string} e.g. "045"
+ */
+function pad3(degrees) {
+  return String(degrees).padStart(3, '0');
+}
+
+/**
+ * Formats a distance in scene units
+ * @param {number} dist Distance
+ * @returns {string} e.g. "12.5 u", "340 u" or "1.50M u"
+ */
+function formatDistance(dist) {
+  return `${formatNumber(dist)} u`;
+}
@@ -0,0 +1,330 @@
+/**
+ * This file contains the input layer for ship (and camera) controls. Keyboard and gamepad
+ * are both mapped onto named actions with values from 0 to 1, so the flight
+ * code asks for "thrustForward" rather than checking raw keys. Keyboard
+ * bindings can be remapped and are persisted to localStorage.
+ */
+
+// Every action the ship understands
+export const ACTIONS = [
+  'thrustForward', 'thrustBack', 'strafeLeft', 'strafeRight',
+  'thrustUp', 'thrustDown', 'yawLeft', 'yawRight',
+  'pitchUp', 'pitchDown', 'rollLeft', 'rollRight',
+  'boost', 'toggleFlightModel', 'toggleFlightAssist',
+  'cycleCamera', 'cycleCameraTarget', 'engageAutopilot', 'toggleHud',
+  'cycleCollisionMode', 'toggleConstellations', 'galacticZoom'
+];
+
+// Action -> key codes (KeyboardEvent.code)
+export const DEFAULT_KEY_BINDINGS = {
+  thrustForward: ['KeyW'],
+  thrustBack: ['KeyS'],
+  strafeLeft: ['KeyA'],
+  strafeRight: ['KeyD'],
+  thrustUp: ['Space'],
+  thrustDown: ['KeyC'],
+  yawLeft: ['KeyQ'],
+  yawRight: ['KeyE'],
+  pitchUp: ['ArrowDown'],
+  pitchDown: ['ArrowUp'],
+  rollLeft: ['ArrowLeft'],
+  rollRight: ['ArrowRight'],
+  boost: ['ShiftLeft'],
+  toggleFlightModel: ['KeyM'],
+  toggleFlightAssist: ['KeyF'],
+  cycleCamera: ['KeyV'],
+  cycleCameraTarget: ['KeyB'],
+  engageAutopilot: ['KeyT'],
+  toggleHud: ['KeyH'],
+  cycleCollisionMode: ['KeyL'],
+  toggleConstellations: ['KeyN'],
+  galacticZoom: ['KeyZ']
+};
+
+// Action -> gamepad inputs (standard mapping). Axes list the sign that
+// counts as "on" for that action; buttons may be analog (the triggers).
+// Actions left out have no gamepad input.
+const GAMEPAD_BINDINGS = {
+  thrustForward: [{ button: 7 }],                // right trigger
+  thrustBack: [{ button: 6 }],                   // left trigger
+  yawLeft: [{ axis: 0, sign: -1 }],              // left stick
+  yawRight: [{ axis: 0, sign: 1 }],
+  pitchUp: [{ axis: 1, sign: 1 }],
+  pitchDown: [{ axis: 1, sign: -1 }],
+  strafeLeft: [{ axis: 2, sign: -1 }],           // right stick
+  strafeRight: [{ axis: 2, sign: 1 }],
+  thrustUp: [{ axis: 3, sign: -1 }],
+  thrustDown: [{ axis: 3, sign: 1 }],
+  rollLeft: [{ button: 4 }],                     // bumpers
+  rollRight: [{ button: 5 }],
+  boost: [{ button: 0 }, { button: 10 }],        // A / left stick click
+  toggleFlightModel: [{ button: 3 }],            // Y
+  toggleFlightAssist: [{ button: 2 }],           // X
+  cycleCamera: [{ button: 12 }],                 // d-pad up
+  cycleCameraTarget: [{ button: 15 }],           // d-pad right
+  engageAutopilot: [{ button: 1 }]               // B
+};
+
+const STORAGE_KEY = 'shipKeyBindings';
+const DEAD_ZONE = 0.15;           // stick travel ignored around centre
+const PRESS_THRESHOLD = 0.5;      // analog value that counts as a press
+
+let keyBindings = loadKeyBindings();
+let codeToActions = buildCodeLookup(keyBindings);
+
+const heldKeys = new Set();
+const values = {};                // action -> 0..1 this frame
+const pressed = {};               // action -> went down this frame
+const latched = new Set();        // key presses seen since the last poll
+for (const action of ACTIONS) {
+  values[action] = 0;
+  pressed[action] = false;
+}
+
+// When set, the next keydown is captured as a new binding for this action
+let rebindCallback = null;
+
+/**
+ * Set up keyboard listeners feeding the action layer
+ */
+export function setupInput() {
+  // Capture phase so a key being bound doesn't also trigger other shortcuts
+  window.addEventListener('keydown', e => {
+    if (!rebindCallback) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const done = rebindCallback;
+    rebindCallback = null;
+    done(e.code);
+  }, true);
+
+  window.addEventListener('keydown', e => {
+    if (e.target instanceof HTMLInputElement) return;
+
+    const actions = codeToActions[e.code];
+    if (!actions) return;
+    if (e.code === 'Space' || e.code.startsWith('Arrow')) e.preventDefault();
+    heldKeys.add(e.code);
+    if (!e.repeat) for (const action of actions) latched.add(action);
+  });
+
+  window.addEventListener('keyup', e => {
+    heldKeys.delete(e.code);
+  });
+
+  // Don't leave keys stuck down when the window loses focus
+  window.addEventListener('blur', () => heldKeys.clear());
+}
+
+/**
+ * Samples keyboard and gamepads into action values. Call once per frame
+ * before anything reads actions.
+ */
+export function pollInput() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+  for (const action of ACTIONS) {
+    let value = 0;
+
+    for (const code of keyBindings[action]) {
+      if (heldKeys.has(code)) value = 1;
+    }
+
+    for (const pad of pads) {
+      if (!pad || !pad.connected) continue;
+      for (const input of GAMEPAD_BINDINGS[action] || []) {
+        value = Math.max(value, readGamepad(pad, input));
+      }
+    }
+
+    const wasDown = values[action] >= PRESS_THRESHOLD;
+    pressed[action] = latched.has(action) || (!wasDown && value >= PRESS_THRESHOLD);
+    values[action] = value;
+  }
+
+  latched.clear();
+}
+
+/**
+ * Current value of an action
+ * @param {string} action Action name
+ * @returns {number} 0 (idle) to 1 (fully on)
+ */
+export function getAction(action) {
+  return values[action];
+}
+
+/**
+ * Whether an action was pressed this frame (for toggles)
+ * @param {string} action Action name
+ * @returns {boolean} True on the frame the action went down
+ */
+export function wasPressed(action) {
+  return pressed[action];
+}
+
+/**
+ * Current keyboard bindings
+ * @returns {Object} Action -> key codes
+ */
+export function getKeyBindings() {
+  return keyBindings;
+}
+
+/**
+ * Replaces the keys bound to an action and saves the result. A code that
+ * was bound to another action is moved rather than shared.
+ * @param {string} action Action name
+ * @param {Array<string>} codes Key codes to bind
+ */
+export function setKeyBinding(action, codes) {
+  for (const other of ACTIONS) {
+    keyBindings[other] = keyBindings[other].filter(code => !codes.includes(code));
+  }
+  keyBindings[action] = [...codes];
+  applyKeyBindings(keyBindings);
+}
+
+/**
+ * Restores the default keyboard bindings
+ */
+export function resetKeyBindings() {
+  applyKeyBindings(cloneBindings(DEFAULT_KEY_BINDINGS));
+}
+
+/**
+ * Captures the next key press as the binding for an action
+ * @param {string} action Action name
+ * @param {Function} [onDone] Called with the captured key code
+ */
+export function captureKeyBinding(action, onDone) {
+  rebindCallback = code => {
+    if (code !== 'Escape') setKeyBinding(action, [code]);
+    if (onDone) onDone(code);
+  };
+}
+
+/**
+ * Creates the key bindings panel (toggled with K)
+ * @returns {HTMLElement} The panel
+ */
+export function createBindingsPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'panel bindings-panel';
+  panel.hidden = true;
+
+  const render = () => {
+    panel.replaceChildren();
+    const title = document.createElement('div');
+    title.textContent = 'Key bindings (click to rebind, Esc cancels)';
+    panel.appendChild(title);
+
+    for (const action of ACTIONS) {
+      const row = document.createElement('div');
+      const label = document.createElement('span');
+      label.textContent = action;
+      const btn = document.createElement('button');
+      btn.textContent = keyBindings[action].join(', ') || '—';
+      btn.addEventListener('click', () => {
+        btn.textContent = 'press a key…';
+        captureKeyBinding(action, render);
+      });
+      row.append(label, btn);
+      panel.appendChild(row);
+    }
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Reset to defaults';
+    reset.addEventListener('click', () => {
+      resetKeyBindings();
+      render();
+    });
+    panel.appendChild(reset);
+  };
+  render();
+
+  window.addEventListener('keydown', e => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.code === 'KeyK') panel.hidden = !panel.hidden;
+  });
+
+  document.body.appendChild(panel);
+  return panel;
+}
+
+/**
+ * Reads one gamepad input, applying the dead zone to sticks
+ * @param {Gamepad} pad The gamepad
+ * @param {Object} input { button } or { axis, sign }
+ * @returns {number} 0..1
+ */
+function readGamepad(pad, input) {
+  if (input.button !== undefined) {
+    const btn = pad.buttons[input.button];
+    return btn ? btn.value : 0;
+  }
+
+  const raw = (pad.axes[input.axis] || 0) * input.sign;
+  if (raw <= DEAD_ZONE) return 0;
+  return Math.min(1, (raw - DEAD_ZONE) / (1 - DEAD_ZONE));
+}
+
+/**
+ * Installs a set of bindings and persists them
+ * @param {Object} bindings Action -> key codes
+ */
+function applyKeyBindings(bindings) {
+  keyBindings = bindings;
+  codeToActions = buildCodeLookup(bindings);
+  heldKeys.clear();
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (err) {
+    console.warn('Could not save key bindings:', err);
+  }
+}
+
+/**
+ * Loads saved bindings, falling back to defaults for anything missing
+ * @returns {Object} Action -> key codes
+ */
+function loadKeyBindings() {
+  const bindings = cloneBindings(DEFAULT_KEY_BINDINGS);
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      for (const action of ACTIONS) {
+        if (Array.isArray(saved[action])) bindings[action] = saved[action];
+      }
+    }
+  } catch (err) {
+    console.warn('Ignoring saved key bindings:', err);
+  }
+  return bindings;
+}
+
+/**
+ * Builds the reverse lookup used by the key listeners
+ * @param {Object} bindings Action -> key codes
+ * @returns {Object} Key code -> actions
+ */
+function buildCodeLookup(bindings) {
+  const lookup = {};
+  for (const action of ACTIONS) {
+    for (const code of bindings[action]) {
+      (lookup[code] = lookup[code] || []).push(action);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Deep-copies a bindings object
+ * @param {Object} bindings Action -> key codes
+ * @returns {Object} The copy
+ */
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const action of ACTIONS) copy[action] = [...bindings[action]];
+  return copy;
+}
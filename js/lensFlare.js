@@ -0,0 +1,207 @@
+/**
+ * This file contains the lens flare: a glow and streak on the Sun plus a
+ * string of ghosts reflected through the middle of the screen. It's drawn
+ * as sprites in its own screen-space scene after the bloom pass, so it
+ * sits on top of everything like it would on a real lens.
+ *
+ * How much of the Sun's disc can be seen is worked out from the geometry
+ * rather than read back from the GPU: every body between the camera and the
+ * Sun covers part of the disc, so the flare fades through an eclipse or as
+ * a planet's limb slides across.
+ */
+
+import * as THREE from 'three';
+
+const EDGE_FADE = 0.4;            // NDC past the screen edge over which the flare fades out
+
+/**
+ * Flare elements. `at` is where along the line from the Sun (1) through
+ * the screen centre (0) it sits; sizes are in screen heights.
+ */
+const ELEMENTS = [
+  { at: 1.0,   width: 0.6,  height: 0.6,  texture: 'glow', color: 0xfff0d0, opacity: 0.5 },
+  { at: 1.0,   width: 1.8,  height: 0.05, texture: 'glow', color: 0xffd8b0, opacity: 0.35 },
+  { at: 0.45,  width: 0.06, height: 0.06, texture: 'disc', color: 0x99ccff, opacity: 0.25 },
+  { at: 0.15,  width: 0.12, height: 0.12, texture: 'ring', color: 0xffcc88, opacity: 0.2 },
+  { at: -0.2,  width: 0.04, height: 0.04, texture: 'disc', color: 0xaaffcc, opacity: 0.3 },
+  { at: -0.45, width: 0.2,  height: 0.2,  texture: 'ring', color: 0x88aaff, opacity: 0.15 },
+  { at: -0.75, width: 0.09, height: 0.09, texture: 'disc', color: 0xffaa77, opacity: 0.2 },
+  { at: -1.1,  width: 0.4,  height: 0.4,  texture: 'ring', color: 0xaaccff, opacity: 0.08 }
+];
+
+// Scratch objects so the per-frame path doesn't allocate
+const _sunPos = new THREE.Vector3();
+const _bodyPos = new THREE.Vector3();
+const _eye = new THREE.Vector3();
+const _toSun = new THREE.Vector3();
+const _toBody = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+
+/**
+ * Creates the lens flare for a star
+ * @param {Object} system The system returned by createSolarSystem
+ * @param {Object} star The body the flare comes from
+ * @param {THREE.PerspectiveCamera} camera The scene camera
+ * @returns {Object} The lens flare state
+ */
+export function createLensFlare(system, star, camera) {
+  const scene = new THREE.Scene();
+  const view = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  view.position.z = 0.5;
+
+  const textures = {
+    glow: createFlareTexture([[0, 1], [0.15, 0.6], [0.4, 0.15], [1, 0]]),
+    disc: createFlareTexture([[0, 0.8], [0.7, 0.6], [0.9, 0.2], [1, 0]]),
+    ring: createFlareTexture([[0, 0], [0.6, 0.05], [0.82, 0.6], [0.9, 0.3], [1, 0]])
+  };
+
+  const sprites = ELEMENTS.map(element => {
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: textures[element.texture],
+      color: element.color,
+      blending: THREE.AdditiveBlending,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false
+    }));
+    sprite.scale.set(element.width, element.height, 1);
+    sprite.userData.element = element;
+    scene.add(sprite);
+    return sprite;
+  });
+
+  return {
+    system,
+    star,
+    camera,
+    scene,
+    view,
+    sprites,
+    visibility: 0           // how much of the flare is showing (0 to 1)
+  };
+}
+
+/**
+ * Places the flare for the current camera and works out how much of the
+ * Sun is showing. Call after the bodies and camera have moved.
+ * @param {Object} flare The lens flare state
+ */
+export function updateLensFlare(flare) {
+  const { camera, view, star } = flare;
+
+  camera.updateMatrixWorld();
+  camera.getWorldPosition(_eye);
+  star.anchor.getWorldPosition(_sunPos);
+  _ndc.copy(_sunPos).project(camera);
+
+  // Off the screen edge, or behind the camera, there's no flare
+  const edge = Math.max(Math.abs(_ndc.x), Math.abs(_ndc.y));
+  const onScreen = _ndc.z < 1 ? 1 - THREE.MathUtils.smoothstep(edge, 1, 1 + EDGE_FADE) : 0;
+  flare.visibility = onScreen > 0 ? onScreen * visibleFraction(flare) : 0;
+  if (flare.visibility <= 0) return;
+
+  if (view.right !== camera.aspect) {
+    view.left = -camera.aspect;
+    view.right = camera.aspect;
+    view.updateProjectionMatrix();
+  }
+
+  const x = _ndc.x * camera.aspect;
+  const y = _ndc.y;
+  for (const sprite of flare.sprites) {
+    const { at, opacity } = sprite.userData.element;
+    sprite.position.set(x * at, y * at, 0);
+    sprite.material.opacity = opacity * flare.visibility;
+  }
+}
+
+/**
+ * Draws the flare over the finished frame
+ * @param {Object} flare The lens flare state
+ * @param {THREE.WebGLRenderer} renderer The renderer
+ */
+export function renderLensFlare(flare, renderer) {
+  if (flare.visibility <= 0) return;
+  const autoClear = renderer.autoClear;
+  renderer.autoClear = false;
+  renderer.render(flare.scene, flare.view);
+  renderer.autoClear = autoClear;
+}
+
+/**
+ * Fraction of the Sun's disc not hidden behind a body. Each body nearer
+ * than the Sun covers the overlap of its disc with the Sun's, treating both
+ * as flat circles on the sky.
+ * @param {Object} flare The lens flare state
+ * @returns {number} 0 (fully hidden) to 1
+ */
+function visibleFraction(flare) {
+  const { star } = flare;
+  _toSun.subVectors(_sunPos, _eye);
+  const sunDistance = _toSun.length();
+  if (sunDistance <= star.radius) return 0;
+  const sunSize = Math.asin(star.radius / sunDistance);
+  _toSun.divideScalar(sunDistance);
+
+  let hidden = 0;
+  for (const body of flare.system.bodies) {
+    if (body === star) continue;
+    body.anchor.getWorldPosition(_bodyPos);
+    _toBody.subVectors(_bodyPos, _eye);
+    const distance = _toBody.length();
+    if (distance >= sunDistance) continue;
+    if (distance <= body.radius) return 0;
+
+    const size = Math.asin(body.radius / distance);
+    const apart = _toBody.angleTo(_toSun);
+    if (apart >= sunSize + size) continue;
+    hidden += discOverlap(sunSize, size, apart) / (Math.PI * sunSize * sunSize);
+  }
+  return Math.max(0, 1 - hidden);
+}
+
+/**
+ * Area where two circles overlap
+ * @param {number} a Radius of the first
+ * @param {number} b Radius of the second
+ * @param {number} d Distance between their centres
+ * @returns {number} The shared area
+ */
+function discOverlap(a, b, d) {
+  if (d >= a + b) return 0;
+  const small = Math.min(a, b);
+  if (d <= Math.abs(a - b)) return Math.PI * small * small;
+
+  const alpha = Math.acos((d * d + a * a - b * b) / (2 * d * a));
+  const beta = Math.acos((d * d + b * b - a * a) / (2 * d * b));
+  const kite = Math.sqrt((-d + a + b) * (d + a - b) * (d - a + b) * (d + a + b));
+  return a * a * alpha + b * b * beta - 0.5 * kite;
+}
+
+/**
+ * Creates a round white sprite texture from radial brightness stops
+ * @param {Array<[number, number]>} stops [offset from the centre (0 to 1), alpha] pairs
+ * @returns {THREE.Texture} The texture
+ */
+function createFlareTexture(stops) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createRadialGradient(
+    canvas.width / 2, canvas.height / 2, 0,
+    canvas.width / 2, canvas.height / 2, canvas.width / 2
+  );
+  for (const [offset, alpha] of stops) {
+    gradient.addColorStop(offset, `rgba(255, 255, 255, ${alpha})`);
+  }
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+  return texture;
+}
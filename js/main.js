@@ -7,31 +7,101 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 
-import { ORB_OMEGA } from './constants.js';
-import { createGrid } from './grid.js';
+import { createGrid, updateGridWells } from './grid.js';
+import {
+  createLayoutScale,
+  createScalePanel,
+  updateLayoutScale
+} from './scale.js';
+import {
+  createFloatingOrigin,
+  recentreWorld,
+  restoreWorld
+} from './floatingOrigin.js';
+import { createHud, updateHud } from './hud.js';
+import { createMinimap, updateMinimap } from './minimap.js';
 import { 
-  createSun, 
-  createEarth, 
-  createEarthOrbit,
-  createMoon,
+  createSolarSystem,
   updateCelestialBodies
 } from './celestialBodies.js';
+import { DEFAULT_SYSTEM } from './systemConfig.js';
+import {
+  createGravity,
+  setupGravityControls,
+  updateGravity
+} from './gravity.js';
 import { 
-  loadXWing, 
-  setupXWingControls, 
+  createPlayerShip,
+  selectShip,
   updateXWing 
 } from './xwing.js';
+import { DEFAULT_SHIP } from './ships.js';
+import {
+  createCameraManager,
+  setCameraTarget,
+  updateCamera
+} from './cameraManager.js';
+import { createSelection, updateSelection } from './selection.js';
+import {
+  createAutopilot,
+  engageAutopilot,
+  engageAutopilotToPoint,
+  disengageAutopilot,
+  toggleAutopilot,
+  updateAutopilot
+} from './autopilot.js';
+import {
+  createCollisions,
+  takeOff,
+  updateCollisions
+} from './collisions.js';
+import {
+  setupInput,
+  pollInput,
+  wasPressed,
+  createBindingsPanel
+} from './input.js';
 import {
   createStarField,
   createSpaceBackground,
   updateSpaceBackground
 } from './stars.js';
 import { createDistantGalaxies } from './galaxies.js';
+import { useStarCatalogue, updateConstellations } from './starCatalogue.js';
+import { createRandom, forkRandom, getSeed } from './random.js';
+import {
+  createSky,
+  updateSky,
+  bakeSkyCubeMap,
+  setupGalacticZoom
+} from './sky.js';
+import {
+  createEclipseFinder,
+  createEclipsePanel,
+  updateEclipsePanel
+} from './eclipses.js';
+import { julianDate } from './ephemeris.js';
+import {
+  createLensFlare,
+  updateLensFlare,
+  renderLensFlare
+} from './lensFlare.js';
+import { CAMERA_NEAR, COMPRESSED_FAR, SKY_CUBE_MAP } from './constants.js';
+import {
+  createSimClock,
+  tickSimClock,
+  getSceneTime,
+  getSimDate,
+  setupSimClockControls,
+  createTimePanel,
+  updateTimePanel
+} from './simClock.js';
 
 // Main scene setup
 const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, CAMERA_NEAR, COMPRESSED_FAR);
+// Logarithmic depth keeps depth precision from the cockpit out to true-scale distances
+const renderer = new THREE.WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
 const clock = new THREE.Clock();
 
 // Setup renderer
@@ -49,9 +119,18 @@ camera.position.set(10, 2, 2);
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.target.set(0, 0, 0);
 
-// Add bloom post-processing
+// The sky: background, galaxies and stars, drawn at infinity behind the scene
+const sky = createSky(camera);
+
+// Add bloom post-processing. The sky goes down first and the scene on top,
+// keeping the sky's colour but not its depth.
 const composer = new EffectComposer(renderer);
-composer.addPass(new RenderPass(scene, camera));
+const skyPass = new RenderPass(sky.scene, sky.camera);
+const scenePass = new RenderPass(scene, camera);
+scenePass.clear = false;
+scenePass.clearDepth = true;
+composer.addPass(skyPass);
+composer.addPass(scenePass);
 const bloom = new UnrealBloomPass(
   new THREE.Vector2(window.innerWidth, window.innerHeight),
   1.2,  // strength
@@ -66,53 +145,128 @@ scene.add(hemi);
 
 // Create and add the space background
 const spaceBackground = createSpaceBackground();
-scene.add(spaceBackground.mesh);
+sky.scene.add(spaceBackground.mesh);
+
+// The procedural sky is seeded (?seed= in the URL), so a seed always gives the same sky
+const skyRandom = createRandom(`${getSeed()}/sky`);
 
 // Create and add distant galaxies and nebulae
-createDistantGalaxies(scene);
+const galaxies = createDistantGalaxies(sky.scene, forkRandom(skyRandom));
+
+// Create and add star field: random, or the real stars (?stars=catalogue, N toggles the constellations)
+const starCatalogue = useStarCatalogue();
+const starField = createStarField(forkRandom(skyRandom), starCatalogue);
+sky.scene.add(starField);
 
-// Create and add star field
-const starField = createStarField();
-scene.add(starField);
+// Optionally bake the sky into the scene's background once rather than drawing it every frame
+if (SKY_CUBE_MAP) {
+  scene.background = bakeSkyCubeMap(sky, renderer);
+  // The real stars load in after startup; bake again once they're there
+  if (starField.userData.loaded) {
+    starField.userData.loaded.then(() => { scene.background = bakeSkyCubeMap(sky, renderer); });
+  }
+  skyPass.enabled = false;
+  scenePass.clear = true;
+} else {
+  // Galactic zoom: Z flies the sky out to each galaxy in turn
+  setupGalacticZoom(sky, galaxies);
+}
 
 // Create and add the grid
 const grid = createGrid();
 scene.add(grid.mesh);
 
-// Create and add celestial bodies
-const sun = createSun();
-scene.add(sun);
+// Create and add celestial bodies from the system description
+const solarSystem = createSolarSystem(DEFAULT_SYSTEM);
+scene.add(solarSystem.root);
 
-const earth = createEarth();
-scene.add(earth);
+// Lens flare off the Sun, dimmed by whatever is in front of it
+const lensFlare = createLensFlare(solarSystem, solarSystem.byName.sun, camera);
 
-const earthOrbit = createEarthOrbit();
-scene.add(earthOrbit);
+// Newtonian gravity (off by default, G cycles ship-only / full n-body)
+const gravity = createGravity(solarSystem);
+setupGravityControls(gravity);
 
-const moon = createMoon(earth);
+// Simulated time drives the bodies (from today, where they really are); wall time drives the ship
+const simClock = createSimClock();
+setupSimClockControls(simClock);
+const timePanel = createTimePanel(simClock);
 
-// Organize all celestial bodies
-const celestialBodies = {
-  sun,
-  earth,
-  moon,
-  earthOrbitalSpeed: ORB_OMEGA
-};
+// Upcoming eclipses, with buttons to jump to them
+const eclipseFinder = createEclipseFinder(solarSystem);
+const eclipsePanel = createEclipsePanel(simClock);
 
-// Setup X-Wing controls
-setupXWingControls();
+// Setup ship controls (keyboard + gamepad, K opens the bindings panel)
+setupInput();
+createBindingsPanel();
 
-// Store for X-Wing model when loaded
-let xWing;
+// Player ship; the model loads in underneath it
+const xWing = createPlayerShip(scene);
 let prevTime = 0;
 
-// Load X-Wing model
-loadXWing(scene)
-  .then(model => {
-    xWing = model;
-  })
+selectShip(xWing, DEFAULT_SHIP)
   .catch(error => console.error('Error loading X-Wing:', error));
 
+// Camera modes: chase, cockpit, free orbit and body-lock (V cycles, B picks the body)
+const cameraManager = createCameraManager(camera, controls, xWing, solarSystem);
+
+// Collisions with the bodies: land, bounce or crash (L cycles)
+const collisions = createCollisions(solarSystem, xWing, simClock);
+
+// Autopilot: flies to a body and parks next to it (T or "Travel here")
+const autopilot = createAutopilot(scene, xWing, simClock);
+
+// Click a body to select it: highlight, info panel, and camera target
+const selection = createSelection({
+  camera,
+  domElement: renderer.domElement,
+  system: solarSystem,
+  ship: xWing,
+  clock: simClock,
+  onSelect: body => {
+    if (body) setCameraTarget(cameraManager, body);
+  },
+  actions: [
+    { label: 'Travel here', onClick: body => engageAutopilot(autopilot, body) }
+  ]
+});
+
+// Heads-up display: speed, heading, gravity and body markers (H toggles)
+const hud = createHud({
+  system: solarSystem,
+  ship: xWing,
+  camera,
+  gridMaterial: grid.material,
+  gravity
+});
+
+// Top-down minimap; click it to drop a waypoint the autopilot can fly to
+const minimap = createMinimap({
+  scene,
+  system: solarSystem,
+  ship: xWing,
+  onTravel: point => engageAutopilotToPoint(autopilot, point),
+  onClear: () => {
+    if (autopilot.waypoint) disengageAutopilot(autopilot);
+  }
+});
+
+// Layout scale: compressed through to true scale (1 unit = 1 km)
+const layout = createLayoutScale({
+  system: solarSystem,
+  ship: xWing,
+  camera,
+  gravity,
+  grid: grid.mesh
+});
+const floatingOrigin = createFloatingOrigin(scene, camera);
+floatingOrigin.enabled = false;
+createScalePanel(layout, scale => {
+  floatingOrigin.enabled = scale > 0;
+  disengageAutopilot(autopilot);
+  takeOff(collisions);
+});
+
 // Handle window resize
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
@@ -127,25 +281,52 @@ function animate() {
   const delta = t - prevTime;
   prevTime = t;
 
+  // Advance simulated time
+  tickSimClock(simClock, delta);
+  const simTime = getSceneTime(simClock);
+  updateTimePanel(timePanel, simClock);
+
   // Update celestial bodies
-  updateCelestialBodies(celestialBodies, t, grid.material);
+  updateCelestialBodies(solarSystem, simTime);
+  updateLayoutScale(layout);
+  updateGravity(gravity, simTime);
+  updateGridWells(grid.material, gravity.sources);
   
   // Update space background
-  updateSpaceBackground(spaceBackground, t);
+  updateSpaceBackground(spaceBackground, simTime);
   
-  // Update X-Wing position and camera
-  updateXWing(xWing, camera, delta);
+  // Update X-Wing position, then the camera that follows it
+  pollInput();
+  if (wasPressed('engageAutopilot')) toggleAutopilot(autopilot, selection.body);
+  const command = updateAutopilot(autopilot, delta, simTime);
+  if (command) takeOff(collisions);
+  // A landed ship rides its body until collisions sees it take off
+  if (!collisions.landed) updateXWing(xWing, delta, gravity, command);
+  const impact = updateCollisions(collisions, delta);
+  if (impact === 'crashed' || impact === 'burned') disengageAutopilot(autopilot);
+  updateCamera(cameraManager, delta);
+  updateSelection(selection);
+  updateHud(hud);
+  updateMinimap(minimap);
+  updateEclipsePanel(eclipsePanel, eclipseFinder, julianDate(getSimDate(simClock)));
+  updateLensFlare(lensFlare);
+  updateSky(sky, delta);
 
   // Update grid position uniform to match X-Wing position
-  if (xWing && grid.material.uniforms) {
+  if (grid.material.uniforms) {
     grid.material.uniforms.playerPosition.value.copy(xWing.position);
   }
   
-  // Make stars slowly rotate for a subtle effect
-  starField.rotation.y = t * 0.001;
+  // Make stars slowly rotate for a subtle effect (the real ones stay put,
+  // with N showing and hiding their constellations)
+  if (!starCatalogue) starField.rotation.y = t * 0.001;
+  else updateConstellations(starField);
   
-  // Render the scene with post-processing
+  // Render the scene with post-processing, centred on the camera
+  recentreWorld(floatingOrigin);
   composer.render();
+  restoreWorld(floatingOrigin);
+  renderLensFlare(lensFlare, renderer);
 }
 
 // Start animation loop
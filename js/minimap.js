@@ -0,0 +1,279 @@
+/**
+ * This file contains the minimap: a top-down radar of the system drawn on a
+ * 2D canvas in the corner, with the orbit lines, every body and the ship
+ * with its heading. It can be centred on the ship or the Sun, zoomed through
+ * a few fixed ranges, and clicking it drops a waypoint on the orbital plane.
+ *
+ * The view is as seen from above (+y): +x to the right, +z down. The zoom
+ * ranges grow with the layout scale so the whole system still fits.
+ */
+
+import * as THREE from 'three';
+import { formatNumber } from './format.js';
+
+const MAP_SIZE = 200;                          // canvas size in CSS pixels
+const ZOOM_LEVELS = [30, 100, 300, 850];       // half-width of the view in units
+const MIN_DOT = 1.5;                           // smallest body dot (pixels)
+const SHIP_SIZE = 6;                           // ship arrow length (pixels)
+
+const BODY_COLORS = { star: '#ffd27a', planet: '#9fc4ff', moon: '#c8c8c8' };
+
+// Scratch objects so the per-frame path doesn't allocate
+const _pos = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Creates the minimap panel
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene The scene (for the waypoint beacon)
+ * @param {Object} options.system The system returned by createSolarSystem
+ * @param {THREE.Object3D} options.ship The player ship
+ * @param {Function} [options.onTravel] Called with the waypoint when "Fly to" is pressed
+ * @param {Function} [options.onClear] Called when the waypoint is removed
+ * @returns {Object} The minimap state
+ */
+export function createMinimap({ scene, system, ship, onTravel, onClear }) {
+  const panel = document.createElement('div');
+  panel.className = 'panel minimap';
+
+  const canvas = document.createElement('canvas');
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = MAP_SIZE * dpr;
+  canvas.height = MAP_SIZE * dpr;
+  canvas.style.width = `${MAP_SIZE}px`;
+  canvas.style.height = `${MAP_SIZE}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+
+  const controls = document.createElement('div');
+  const zoomOut = button('−');
+  const zoomIn = button('+');
+  const centerBtn = button('');
+  const travelBtn = button('Fly to waypoint');
+  const clearBtn = button('Clear');
+  controls.append(zoomOut, zoomIn, centerBtn, travelBtn, clearBtn);
+
+  panel.append(canvas, controls);
+  document.body.appendChild(panel);
+
+  // Orbit paths are drawn straight from the 3D orbit lines, which are
+  // redrawn as the layout scale and the ephemeris change them
+  const orbits = system.bodies.filter(body => body.orbitLine);
+
+  // The outermost orbit sets how far the zoom ranges stretch, from its size
+  // in the compressed layout the ranges are given for
+  const outermostBody = orbits.reduce((a, b) => (b.elements.semiMajorAxis > a.elements.semiMajorAxis ? b : a));
+  const outermost = { body: outermostBody, semiMajorAxis: outermostBody.elements.semiMajorAxis };
+
+  // Beacon in the scene marking the waypoint
+  const beacon = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.3, 0.3, 40, 8, 1, true),
+    new THREE.MeshBasicMaterial({ color: 0x44ff88, transparent: true, opacity: 0.5, depthWrite: false })
+  );
+  beacon.visible = false;
+  scene.add(beacon);
+
+  const map = {
+    system,
+    ship,
+    canvas,
+    ctx,
+    orbits,
+    outermost,
+    center: 'sun',              // 'sun' | 'ship'
+    zoom: ZOOM_LEVELS.length - 1,
+    waypoint: null,             // THREE.Vector3 on the y=0 plane
+    beacon,
+    centerBtn,
+    travelBtn,
+    clearBtn
+  };
+
+  zoomOut.addEventListener('click', () => setMinimapZoom(map, map.zoom + 1));
+  zoomIn.addEventListener('click', () => setMinimapZoom(map, map.zoom - 1));
+  centerBtn.addEventListener('click', () => {
+    map.center = map.center === 'sun' ? 'ship' : 'sun';
+    updateButtons(map);
+  });
+  travelBtn.addEventListener('click', () => {
+    if (map.waypoint && onTravel) onTravel(map.waypoint);
+  });
+  clearBtn.addEventListener('click', () => {
+    setWaypoint(map, null);
+    if (onClear) onClear();
+  });
+
+  canvas.addEventListener('wheel', e => {
+    e.preventDefault();
+    setMinimapZoom(map, map.zoom + Math.sign(e.deltaY));
+  }, { passive: false });
+
+  canvas.addEventListener('click', e => {
+    const rect = canvas.getBoundingClientRect();
+    const scale = mapScale(map);
+    viewCenter(map, _center);
+    setWaypoint(map, new THREE.Vector3(
+      _center.x + (e.clientX - rect.left - MAP_SIZE / 2) / scale,
+      0,
+      _center.z + (e.clientY - rect.top - MAP_SIZE / 2) / scale
+    ));
+  });
+
+  updateButtons(map);
+  return map;
+}
+
+/**
+ * Sets the zoom level, clamped to the available ranges
+ * @param {Object} map The minimap state
+ * @param {number} level Index into ZOOM_LEVELS (0 is closest)
+ */
+export function setMinimapZoom(map, level) {
+  map.zoom = THREE.MathUtils.clamp(level, 0, ZOOM_LEVELS.length - 1);
+  updateButtons(map);
+}
+
+/**
+ * Places (or with null, removes) the waypoint
+ * @param {Object} map The minimap state
+ * @param {THREE.Vector3|null} point World-space point
+ */
+export function setWaypoint(map, point) {
+  map.waypoint = point;
+  map.beacon.visible = !!point;
+  if (point) map.beacon.position.copy(point);
+  updateButtons(map);
+}
+
+/**
+ * Redraws the minimap
+ * @param {Object} map The minimap state
+ */
+export function updateMinimap(map) {
+  const { ctx, ship } = map;
+  const scale = mapScale(map);
+  const half = MAP_SIZE / 2;
+  viewCenter(map, _center);
+
+  ctx.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+
+  // Orbit lines around wherever their parent is now
+  ctx.strokeStyle = 'rgba(120, 160, 255, 0.35)';
+  ctx.lineWidth = 1;
+  for (const body of map.orbits) {
+    body.parent.anchor.getWorldPosition(_pos);
+    const ox = half + (_pos.x - _center.x) * scale;
+    const oy = half + (_pos.z - _center.z) * scale;
+    // x, y, z per point in the parent's frame; the map only needs x and z
+    const pts = body.orbitLine.geometry.attributes.position.array;
+    ctx.beginPath();
+    ctx.moveTo(ox + pts[0] * scale, oy + pts[2] * scale);
+    for (let i = 3; i < pts.length; i += 3) {
+      ctx.lineTo(ox + pts[i] * scale, oy + pts[i + 2] * scale);
+    }
+    ctx.stroke();
+  }
+
+  // Bodies
+  for (const body of map.system.bodies) {
+    body.anchor.getWorldPosition(_pos);
+    const x = half + (_pos.x - _center.x) * scale;
+    const y = half + (_pos.z - _center.z) * scale;
+    if (x < -10 || y < -10 || x > MAP_SIZE + 10 || y > MAP_SIZE + 10) continue;
+
+    ctx.fillStyle = BODY_COLORS[body.def.type] || '#ffffff';
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(MIN_DOT, body.radius * scale), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Waypoint
+  if (map.waypoint) {
+    const x = half + (map.waypoint.x - _center.x) * scale;
+    const y = half + (map.waypoint.z - _center.z) * scale;
+    ctx.strokeStyle = '#44ff88';
+    ctx.beginPath();
+    ctx.moveTo(x - 4, y - 4);
+    ctx.lineTo(x + 4, y + 4);
+    ctx.moveTo(x + 4, y - 4);
+    ctx.lineTo(x - 4, y + 4);
+    ctx.stroke();
+  }
+
+  // Ship, as an arrow along its heading
+  _forward.copy(AXIS_Z).applyQuaternion(ship.quaternion);
+  const angle = Math.atan2(_forward.z, _forward.x);
+  const sx = half + (ship.position.x - _center.x) * scale;
+  const sy = half + (ship.position.z - _center.z) * scale;
+  ctx.save();
+  ctx.translate(sx, sy);
+  ctx.rotate(angle);
+  ctx.fillStyle = '#44ddff';
+  ctx.beginPath();
+  ctx.moveTo(SHIP_SIZE, 0);
+  ctx.lineTo(-SHIP_SIZE * 0.6, SHIP_SIZE * 0.5);
+  ctx.lineTo(-SHIP_SIZE * 0.6, -SHIP_SIZE * 0.5);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+
+  // Range readout
+  ctx.fillStyle = 'rgba(207, 224, 255, 0.7)';
+  ctx.font = '10px monospace';
+  ctx.fillText(`±${formatNumber(viewRange(map))} u`, 4, MAP_SIZE - 4);
+}
+
+/**
+ * Half-width of the view in scene units, stretched with the layout scale
+ * @param {Object} map The minimap state
+ * @returns {number} Range
+ */
+function viewRange(map) {
+  const { body, semiMajorAxis } = map.outermost;
+  return ZOOM_LEVELS[map.zoom] * body.elements.semiMajorAxis / semiMajorAxis;
+}
+
+/**
+ * Pixels per scene unit at the current zoom
+ * @param {Object} map The minimap state
+ * @returns {number} Scale
+ */
+function mapScale(map) {
+  return (MAP_SIZE / 2) / viewRange(map);
+}
+
+/**
+ * World point at the middle of the map
+ * @param {Object} map The minimap state
+ * @param {THREE.Vector3} out Vector to write into
+ * @returns {THREE.Vector3} The centre
+ */
+function viewCenter(map, out) {
+  if (map.center === 'ship') return out.copy(map.ship.position);
+  const sun = map.system.bodies[0];
+  return sun.anchor.getWorldPosition(out);
+}
+
+/**
+ * Refreshes button labels and enabled states
+ * @param {Object} map The minimap state
+ */
+function updateButtons(map) {
+  map.centerBtn.textContent = map.center === 'sun' ? 'Sun-centred' : 'Ship-centred';
+  map.travelBtn.disabled = !map.waypoint;
+  map.clearBtn.disabled = !map.waypoint;
+}
+
+/**
+ * Makes a minimap button that doesn't keep keyboard focus
+ * @param {string} label Button text
+ * @returns {HTMLButtonElement} The button
+ */
+function button(label) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.addEventListener('click', () => btn.blur());
+  return btn;
+}
@@ -0,0 +1,173 @@
+/**
+ * This file contains the Keplerian orbit math: solving Kepler's equation and
+ * turning a set of orbital elements into positions, velocities and orbit lines.
+ *
+ * Elements are given in the reference (ecliptic) frame where the X-Y plane is
+ * the orbital reference plane. Our scene is Y-up, so ecliptic (x, y, z) maps
+ * to scene (x, z, -y): the ecliptic lies on the grid, ecliptic north is up
+ * and, as a proper rotation rather than a mirror, the planets go round
+ * counter-clockwise seen from above just as they do in the sky.
+ */
+
+import * as THREE from 'three';
+import { ORB_G, orbitalOmega } from './constants.js';
+
+const DEG = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Converts element definitions (angles in degrees) into the radian form used
+ * by the rest of this module, with the rotation terms precomputed.
+ * @param {Object} orbit Orbit definition from the system config
+ * @param {number} parentMass Mass of the body being orbited
+ * @returns {Object} Prepared orbital elements
+ */
+export function prepareElements(orbit, parentMass) {
+  const a = orbit.semiMajorAxis;
+  const el = {
+    semiMajorAxis: a,
+    meanAnomalyAtEpoch: (orbit.meanAnomalyAtEpoch || 0) * DEG,
+    meanMotion: orbitalOmega(parentMass, a),
+    naturalMotion: orbitalOmega(parentMass, a),   // what our masses give; meanMotion may be overridden
+    mu: ORB_G * parentMass
+  };
+  return setOrientation(el, orbit);
+}
+
+/**
+ * Updates the shape and orientation of prepared elements in place (angles
+ * in degrees), e.g. as an ephemeris moves them on
+ * @param {Object} el Prepared elements
+ * @param {Object} orbit eccentricity, inclination, longitudeOfAscendingNode
+ *   and argumentOfPeriapsis
+ * @returns {Object} The elements
+ */
+export function setOrientation(el, orbit) {
+  const e = orbit.eccentricity || 0;
+  const i = (orbit.inclination || 0) * DEG;
+  const node = (orbit.longitudeOfAscendingNode || 0) * DEG;
+  const peri = (orbit.argumentOfPeriapsis || 0) * DEG;
+
+  const cO = Math.cos(node), sO = Math.sin(node);
+  const cw = Math.cos(peri), sw = Math.sin(peri);
+  const ci = Math.cos(i),    si = Math.sin(i);
+
+  el.eccentricity = e;
+  el.inclination = i;
+  el.longitudeOfAscendingNode = node;
+  el.argumentOfPeriapsis = peri;
+  // perifocal -> ecliptic rotation, columns P and Q
+  el.px = cO * cw - sO * sw * ci;   el.py = sO * cw + cO * sw * ci;   el.pz = sw * si;
+  el.qx = -cO * sw - sO * cw * ci;  el.qy = -sO * sw + cO * cw * ci;  el.qz = cw * si;
+  return el;
+}
+
+/**
+ * Solves Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+ * using Newton-Raphson iteration
+ * @param {number} M Mean anomaly (radians)
+ * @param {number} e Eccentricity (0 <= e < 1)
+ * @param {number} tolerance Convergence tolerance in radians
+ * @returns {number} Eccentric anomaly E (radians)
+ */
+export function solveKepler(M, e, tolerance = 1e-10) {
+  // wrap into [-π, π] so the starting guess is close
+  M = ((M + Math.PI) % TWO_PI + TWO_PI) % TWO_PI - Math.PI;
+
+  let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1);
+  for (let iter = 0; iter < 50; iter++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < tolerance) break;
+  }
+  return E;
+}
+
+/**
+ * Computes position (and optionally velocity) relative to the parent at a
+ * given time
+ * @param {Object} el Prepared elements from prepareElements
+ * @param {number} time Time since epoch
+ * @param {THREE.Vector3} position Target for the position (scene frame)
+ * @param {THREE.Vector3} [velocity] Optional target for the velocity
+ * @returns {THREE.Vector3} The position
+ */
+export function orbitalState(el, time, position, velocity) {
+  const a = el.semiMajorAxis;
+  const e = el.eccentricity;
+  const M = el.meanAnomalyAtEpoch + el.meanMotion * time;
+  const E = solveKepler(M, e);
+
+  const cosE = Math.cos(E);
+  const sinE = Math.sin(E);
+  const b = a * Math.sqrt(1 - e * e);
+
+  // position in the orbital plane, periapsis along +x
+  const x = a * (cosE - e);
+  const y = b * sinE;
+  setFromPerifocal(el, x, y, position);
+
+  if (velocity) {
+    const Edot = el.meanMotion / (1 - e * cosE);
+    setFromPerifocal(el, -a * sinE * Edot, b * cosE * Edot, velocity);
+  }
+
+  return position;
+}
+
+/**
+ * Builds the closed set of points tracing the orbit ellipse
+ * @param {Object} el Prepared elements
+ * @param {number} segments Number of segments around the ellipse
+ * @returns {Array<THREE.Vector3>} Orbit points relative to the parent
+ */
+export function orbitPoints(el, segments) {
+  const a = el.semiMajorAxis;
+  const e = el.eccentricity;
+  const b = a * Math.sqrt(1 - e * e);
+
+  const pts = [];
+  for (let i = 0; i <= segments; i++) {
+    const E = (i / segments) * TWO_PI;
+    pts.push(setFromPerifocal(el, a * (Math.cos(E) - e), b * Math.sin(E), new THREE.Vector3()));
+  }
+  return pts;
+}
+
+/**
+ * Orbital period from the mean motion
+ * @param {Object} el Prepared elements
+ * @returns {number} Period in seconds
+ */
+export function orbitalPeriod(el) {
+  return TWO_PI / el.meanMotion;
+}
+
+/**
+ * Maps ecliptic coordinates onto the Y-up scene frame
+ * @param {number} x Ecliptic x
+ * @param {number} y Ecliptic y
+ * @param {number} z Ecliptic z (north)
+ * @param {THREE.Vector3} target Vector to write into
+ * @returns {THREE.Vector3} The scene-frame vector
+ */
+export function eclipticToScene(x, y, z, target) {
+  return target.set(x, z, -y);
+}
+
+/**
+ * Rotates an in-plane (perifocal) vector into the scene frame
+ * @param {Object} el Prepared elements
+ * @param {number} x Component toward periapsis
+ * @param {number} y Component 90° ahead of periapsis
+ * @param {THREE.Vector3} target Vector to write into
+ * @returns {THREE.Vector3} The scene-frame vector
+ */
+function setFromPerifocal(el, x, y, target) {
+  return eclipticToScene(
+    el.px * x + el.qx * y,
+    el.py * x + el.qy * y,
+    el.pz * x + el.qz * y,
+    target
+  );
+}
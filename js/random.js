@@ -0,0 +1,60 @@
+/**
+ * This file contains the seeded random numbers the procedural parts of the
+ * scene (the sky, the asteroid belt) are built from. The same seed always
+ * gives the same sequence, so the same scene, which makes screenshots
+ * comparable from one load to the next. The seed comes from the page's
+ * ?seed= parameter, falling back to SCENE_SEED in constants.js; any string
+ * will do.
+ */
+
+import { SCENE_SEED } from './constants.js';
+
+const UINT32 = 4294967296;
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {string|number} seed Any seed; strings are hashed
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+}
+
+/**
+ * Splits off an independent generator, so one consumer drawing more or
+ * fewer numbers doesn't shift what the next one gets
+ * @param {Function} random A generator from createRandom
+ * @returns {Function} A new generator seeded from it
+ */
+export function forkRandom(random) {
+  return createRandom(Math.floor(random() * UINT32));
+}
+
+/**
+ * The seed for this page: ?seed= if given, else SCENE_SEED
+ * @returns {string} The seed
+ */
+export function getSeed() {
+  const param = new URLSearchParams(window.location.search).get('seed');
+  return param !== null && param !== '' ? param : String(SCENE_SEED);
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text The string
+ * @returns {number} A 32-bit unsigned hash
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
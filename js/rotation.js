@@ -0,0 +1,115 @@
+/**
+ * This file contains body rotation: which way each body's spin axis points
+ * and how far it has turned, from the IAU rotation elements in
+ * systemConfig.js. The pole is given as right ascension and declination in
+ * the J2000 equatorial frame, and the prime meridian angle W is measured
+ * from the node of the body's equator on the Earth's equator, so with the
+ * real pole and the real sidereal day the seasons, the day/night line and
+ * the Moon's librations all come out on their own. The Moon's pole also
+ * swings round with its orbit's node, so it carries that periodic term.
+ *
+ * Body meshes are standard spheres: their local +y is the north pole, +x
+ * is longitude 0 (the middle of an equirectangular texture) and -z is 90°E.
+ */
+
+import * as THREE from 'three';
+import { eclipticToScene } from './orbits.js';
+
+const DEG = Math.PI / 180;
+const OBLIQUITY = 23.4392911 * DEG;   // J2000 tilt of Earth's equator to the ecliptic
+const HOURS_PER_DAY = 24;
+
+// Scratch objects so the per-frame path doesn't allocate
+const _meridian = new THREE.Vector3();
+const _east = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+
+/**
+ * Turns a rotation definition into scene-frame axes and a spin rate
+ * @param {Object} rotation Rotation definition from the system config
+ * @returns {Object} The prepared rotation
+ */
+export function prepareRotation(rotation) {
+  const rot = {
+    def: rotation,
+    pole: new THREE.Vector3(),
+    node: new THREE.Vector3(),          // where the equator crosses the Earth's equator
+    quadrature: new THREE.Vector3(),    // 90° east of the node
+    primeMeridian: rotation.primeMeridian * DEG,
+    rate: 2 * Math.PI * HOURS_PER_DAY / rotation.siderealDay     // radians per day
+  };
+  return setPole(rot, rotation.poleRA, rotation.poleDec);
+}
+
+/**
+ * Orientation of a body on a date
+ * @param {Object} rot Prepared rotation
+ * @param {number} days Days since J2000
+ * @param {THREE.Quaternion} out Quaternion to write into
+ * @returns {THREE.Quaternion} Rotation from the mesh's frame to the scene
+ */
+export function orientationAt(rot, days, out) {
+  let W = rot.primeMeridian + rot.rate * days;
+
+  const term = rot.def.nodeTerm;
+  if (term) {
+    const node = (term.node + term.rate * days) * DEG;
+    setPole(rot, rot.def.poleRA + term.ra * Math.sin(node), rot.def.poleDec + term.dec * Math.cos(node));
+    W += term.meridian * Math.sin(node) * DEG;
+  }
+
+  _meridian.copy(rot.node).multiplyScalar(Math.cos(W)).addScaledVector(rot.quadrature, Math.sin(W));
+  _east.crossVectors(rot.pole, _meridian);
+  _basis.makeBasis(_meridian, rot.pole, _east.negate());
+  return out.setFromRotationMatrix(_basis);
+}
+
+/**
+ * Axial tilt: the angle between the spin axis and the orbit's normal
+ * @param {Object} rot Prepared rotation
+ * @param {Object} el Prepared orbital elements (or null for the ecliptic)
+ * @returns {number} Tilt in degrees (over 90° means the body spins backwards)
+ */
+export function axialTilt(rot, el) {
+  const normal = new THREE.Vector3();
+  if (el) {
+    const { inclination: i, longitudeOfAscendingNode: node } = el;
+    eclipticToScene(Math.sin(node) * Math.sin(i), -Math.cos(node) * Math.sin(i), Math.cos(i), normal);
+  } else {
+    eclipticToScene(0, 0, 1, normal);
+  }
+  // Retrograde spinners have their pole given on the north side; the real
+  // spin axis is the opposite way round
+  const axis = rot.pole.clone().multiplyScalar(Math.sign(rot.rate));
+  return axis.angleTo(normal) / DEG;
+}
+
+/**
+ * Points a rotation's pole, recomputing the equator's node
+ * @param {Object} rot Prepared rotation
+ * @param {number} ra Pole right ascension (degrees)
+ * @param {number} dec Pole declination (degrees)
+ * @returns {Object} The rotation
+ */
+function setPole(rot, ra, dec) {
+  ra *= DEG;
+  dec *= DEG;
+  equatorialToScene(Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec), rot.pole);
+  equatorialToScene(-Math.sin(ra), Math.cos(ra), 0, rot.node);
+  rot.quadrature.crossVectors(rot.pole, rot.node);
+  return rot;
+}
+
+/**
+ * Maps J2000 equatorial coordinates onto the scene frame (via the ecliptic)
+ * @param {number} x Equatorial x (toward the equinox)
+ * @param {number} y Equatorial y
+ * @param {number} z Equatorial z (celestial north)
+ * @param {THREE.Vector3} target Vector to write into
+ * @returns {THREE.Vector3} The scene-frame vector
+ */
+export function equatorialToScene(x, y, z, target) {
+  const c = Math.cos(OBLIQUITY);
+  const s = Math.sin(OBLIQUITY);
+  return eclipticToScene(x, y * c + z * s, -y * s + z * c, target);
+}
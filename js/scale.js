@@ -0,0 +1,192 @@
+/**
+ * This file contains the layout scale: a slider from the compressed layout
+ * the scene was built around (scale 0) to true scale (scale 1), where one
+ * scene unit is a kilometre and every radius and orbit has its real size
+ * (`trueRadius` / `trueSemiMajorAxis` in systemConfig.js). In between, sizes
+ * are interpolated geometrically so the slider sweeps evenly through the
+ * orders of magnitude rather than jumping straight to the big numbers.
+ *
+ * Only sizes change; orbital periods stay put. Gravity and the grid are
+ * tuned to the compressed layout, so they're switched off anywhere else.
+ * Away from bodies the ship's thrust and top speed scale up with its
+ * altitude, so crossing the system still takes a sensible amount of time.
+ */
+
+import * as THREE from 'three';
+import {
+  CAMERA_NEAR,
+  COMPRESSED_FAR,
+  TRUE_SCALE_FAR,
+  SUPERCRUISE_ALTITUDE
+} from './constants.js';
+import { setBodyLayout, nearestBody } from './celestialBodies.js';
+import { setBeltLayout } from './asteroidBelt.js';
+import { setGravityMode } from './gravity.js';
+import { flight } from './xwing.js';
+
+// Scratch objects so the per-frame path doesn't allocate
+const _bodyPos = new THREE.Vector3();
+
+/**
+ * Creates the layout scale state (starting compressed)
+ * @param {Object} options
+ * @param {Object} options.system The system returned by createSolarSystem
+ * @param {THREE.Object3D} options.ship The player ship
+ * @param {THREE.PerspectiveCamera} options.camera The scene camera
+ * @param {Object} options.gravity The gravity state
+ * @param {THREE.Object3D} options.grid The grid mesh
+ * @returns {Object} The layout state
+ */
+export function createLayoutScale({ system, ship, camera, gravity, grid }) {
+  // Sunlight is tuned so the reference planet is lit right; keep it that way
+  const reference = system.byName.earth || system.bodies.find(body => body.elements);
+  const light = system.bodies[0].mesh.children.find(child => child.isPointLight);
+
+  return {
+    system,
+    ship,
+    camera,
+    gravity,
+    grid,
+    scale: 0,
+    distanceFactor: 1,          // how much bigger the reference orbit is than compressed
+    reference,
+    light,
+    baseLightIntensity: light ? light.intensity : 0,
+    pendingShip: null           // { body, offset } to re-place the ship after bodies move
+  };
+}
+
+/**
+ * Sets the layout scale: 0 is compressed, 1 is true scale
+ * @param {Object} layout The layout state
+ * @param {number} scale New scale
+ */
+export function setLayoutScale(layout, scale) {
+  scale = THREE.MathUtils.clamp(scale, 0, 1);
+  const { system, ship, camera, gravity } = layout;
+
+  // Remember where the ship is relative to the body it's closest to, in
+  // that body's radii, so it lands in the same spot after resizing
+  const anchor = nearestBody(system, ship.position);
+  anchor.anchor.getWorldPosition(_bodyPos);
+  layout.pendingShip = {
+    body: anchor,
+    offset: ship.position.clone().sub(_bodyPos).divideScalar(anchor.radius)
+  };
+
+  // Gravity only makes sense with the masses it was tuned for
+  const compressed = scale === 0;
+  if (!compressed && gravity.mode !== 'off') setGravityMode(gravity, 'off');
+  gravity.available = compressed;
+  layout.grid.visible = compressed;
+
+  for (const body of system.bodies) {
+    const { def } = body;
+    const radius = interpolate(def.radius, def.trueRadius, scale);
+    const orbit = def.orbit
+      ? interpolate(def.orbit.semiMajorAxis, def.orbit.trueSemiMajorAxis, scale)
+      : undefined;
+    setBodyLayout(body, radius, orbit);
+
+    if (body.belt) {
+      const belt = body.belt.def;
+      setBeltLayout(
+        body.belt,
+        interpolate(belt.inner, belt.trueInner, scale),
+        interpolate(belt.outer, belt.trueOuter, scale),
+        interpolate(belt.size, belt.trueSize, scale)
+      );
+    }
+  }
+
+  system.layoutVersion++;
+  layout.scale = scale;
+  const ref = layout.reference;
+  layout.distanceFactor = ref.elements.semiMajorAxis / ref.def.orbit.semiMajorAxis;
+  if (layout.light) {
+    layout.light.intensity = layout.baseLightIntensity * layout.distanceFactor ** 2;
+  }
+
+  camera.near = CAMERA_NEAR;
+  camera.far = interpolate(COMPRESSED_FAR, TRUE_SCALE_FAR, scale);
+  camera.updateProjectionMatrix();
+}
+
+/**
+ * Per-frame work: puts the ship back after a rescale and sets its speed
+ * scale from its altitude. Call after updateCelestialBodies.
+ * @param {Object} layout The layout state
+ */
+export function updateLayoutScale(layout) {
+  const { system, ship } = layout;
+
+  if (layout.pendingShip) {
+    const { body, offset } = layout.pendingShip;
+    body.anchor.getWorldPosition(_bodyPos);
+    ship.position.copy(offset).multiplyScalar(body.radius).add(_bodyPos);
+    layout.pendingShip = null;
+  }
+
+  if (layout.scale === 0) {
+    flight.speedScale = 1;
+    return;
+  }
+
+  let altitude = Infinity;
+  for (const body of system.bodies) {
+    body.anchor.getWorldPosition(_bodyPos);
+    altitude = Math.min(altitude, ship.position.distanceTo(_bodyPos) - body.radius);
+  }
+  flight.speedScale = THREE.MathUtils.clamp(altitude / SUPERCRUISE_ALTITUDE, 1, layout.distanceFactor);
+}
+
+/**
+ * Creates the scale slider panel
+ * @param {Object} layout The layout state
+ * @param {Function} [onChange] Called with the new scale after it's applied
+ * @returns {HTMLElement} The panel
+ */
+export function createScalePanel(layout, onChange) {
+  const panel = document.createElement('div');
+  panel.className = 'panel scale-panel';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '1';
+  slider.step = '0.01';
+  slider.value = String(layout.scale);
+
+  const label = document.createElement('span');
+  label.className = 'scale-label';
+
+  const render = () => {
+    if (layout.scale === 0) label.textContent = 'compressed';
+    else if (layout.scale === 1) label.textContent = 'true (1 u = 1 km)';
+    else label.textContent = `${Math.round(layout.scale * 100)}%`;
+  };
+  render();
+
+  slider.addEventListener('input', () => {
+    setLayoutScale(layout, Number(slider.value));
+    render();
+    if (onChange) onChange(layout.scale);
+  });
+  slider.addEventListener('change', () => slider.blur());   // hand the keys back to the ship
+
+  panel.append('Scale: ', slider, label);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+/**
+ * Geometric interpolation between a compressed and a true size
+ * @param {number} compressed Size at scale 0
+ * @param {number} [trueSize] Size at scale 1 (defaults to the compressed size)
+ * @param {number} scale 0..1
+ * @returns {number} The size at this scale
+ */
+function interpolate(compressed, trueSize = compressed, scale) {
+  return compressed * Math.pow(trueSize / compressed, scale);
+}
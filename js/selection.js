@@ -0,0 +1,252 @@
+/**
+ * This file contains click-to-select for celestial bodies: raycast picking,
+ * a highlight around the selected body and the info panel describing it.
+ * Everything in the panel is read from the body's config and live state.
+ */
+
+import * as THREE from 'three';
+import { SOLAR_MASS, EARTH_MASS, SCENE_TIME_SCALE } from './constants.js';
+import { orbitalPeriod } from './orbits.js';
+import { axialTilt } from './rotation.js';
+import { formatNumber } from './format.js';
+
+const CLICK_SLOP = 5;             // pixels the pointer may move and still count as a click
+const HIGHLIGHT_SCALE = 1.15;     // halo size relative to the body
+
+// Scratch objects so the per-frame path doesn't allocate
+const _pointer = new THREE.Vector2();
+const _bodyPos = new THREE.Vector3();
+
+/**
+ * Rows of the info panel. `live` rows are refreshed every frame (sizes
+ * follow the layout scale), the rest only when the selection changes.
+ */
+const INFO_FIELDS = [
+  { label: 'Mass', value: body => formatMass(body.def.mass) },
+  { label: 'Radius', live: true, value: body => `${formatNumber(body.radius)} units` },
+  {
+    label: 'Orbit',
+    live: true,
+    value: body => body.elements
+      ? `${formatNumber(body.elements.semiMajorAxis)} units from ${body.parent.def.label}`
+      : '—'
+  },
+  {
+    label: 'Period',
+    value: body => {
+      if (!body.elements) return '—';
+      const period = orbitalPeriod(body.elements);
+      const days = period / SCENE_TIME_SCALE / 86400;
+      return `${formatNumber(days)} days (${formatNumber(period)} s scene time)`;
+    }
+  },
+  {
+    label: 'Day',
+    value: body => {
+      if (!body.def.rotation) return '—';
+      const hours = body.def.rotation.siderealDay;
+      const text = Math.abs(hours) < 48
+        ? `${formatNumber(Math.abs(hours))} h`
+        : `${formatNumber(Math.abs(hours) / 24)} days`;
+      return `${text} sidereal${hours < 0 ? ', retrograde' : ''}`;
+    }
+  },
+  {
+    label: 'Axial tilt',
+    value: body => body.rotation ? `${axialTilt(body.rotation, body.elements).toFixed(1)}°` : '—'
+  },
+  {
+    label: 'Distance',
+    live: true,
+    value: (body, sel) => {
+      body.anchor.getWorldPosition(_bodyPos);
+      const surface = Math.max(0, sel.ship.position.distanceTo(_bodyPos) - body.radius);
+      return `${formatNumber(surface)} units from ship`;
+    }
+  },
+  {
+    label: 'Velocity',
+    live: true,
+    value: (body, sel) => {
+      // body.velocity is per scene second; show it per real second at the
+      // clock's current rate, as it's seen to move
+      const { clock } = sel;
+      const sceneRate = clock.paused ? 0 : clock.rate * SCENE_TIME_SCALE;
+      const speed = `${formatNumber(body.velocity.length() * Math.abs(sceneRate))} units/s`;
+      return body.parent ? `${speed} relative to ${body.parent.def.label}` : speed;
+    }
+  }
+];
+
+/**
+ * Creates the selection state and hooks up pointer picking on the canvas
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera Camera used for picking
+ * @param {HTMLElement} options.domElement The renderer's canvas
+ * @param {Object} options.system The system returned by createSolarSystem
+ * @param {THREE.Object3D} options.ship The player ship
+ * @param {Object} options.clock The simulation clock, for live speeds
+ * @param {Function} [options.onSelect] Called with the newly selected body (or null)
+ * @param {Array<Object>} [options.actions] Buttons for the info panel, each
+ *   { label, onClick(body) }
+ * @returns {Object} The selection state
+ */
+export function createSelection({ camera, domElement, system, ship, clock, onSelect, actions = [] }) {
+  const highlight = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 48, 48),
+    new THREE.MeshBasicMaterial({
+      color: 0x66aaff,
+      transparent: true,
+      opacity: 0.25,
+      side: THREE.BackSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })
+  );
+  highlight.visible = false;
+
+  const sel = {
+    camera,
+    system,
+    ship,
+    clock,
+    onSelect,
+    body: null,
+    highlight,
+    raycaster: new THREE.Raycaster(),
+    meshes: system.bodies.map(body => body.mesh),
+    panel: createInfoPanel()
+  };
+
+  sel.panel.close.addEventListener('click', () => selectBody(sel, null));
+  for (const action of actions) {
+    const btn = document.createElement('button');
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      if (sel.body) action.onClick(sel.body);
+      btn.blur();         // keep flight keys from re-clicking it
+    });
+    sel.panel.actions.appendChild(btn);
+  }
+
+  // Only treat it as a click if the pointer didn't drag (OrbitControls uses drags)
+  let downX = 0, downY = 0;
+  domElement.addEventListener('pointerdown', e => {
+    downX = e.clientX;
+    downY = e.clientY;
+  });
+  domElement.addEventListener('pointerup', e => {
+    if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_SLOP) return;
+    const rect = domElement.getBoundingClientRect();
+    _pointer.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    selectBody(sel, pickBody(sel, _pointer));
+  });
+
+  window.addEventListener('keydown', e => {
+    if (e.code === 'Escape') selectBody(sel, null);
+  });
+
+  return sel;
+}
+
+/**
+ * Selects a body (or clears the selection with null)
+ * @param {Object} sel The selection state
+ * @param {Object|null} body A body from the system
+ */
+export function selectBody(sel, body) {
+  if (body === sel.body) return;
+  sel.body = body;
+
+  const { highlight, panel } = sel;
+  if (highlight.parent) highlight.parent.remove(highlight);
+
+  if (body) {
+    highlight.scale.setScalar(body.radius * HIGHLIGHT_SCALE);
+    body.anchor.add(highlight);
+    highlight.visible = true;
+
+    panel.title.textContent = body.def.label;
+    panel.description.textContent = body.def.description || '';
+    INFO_FIELDS.forEach((field, i) => {
+      panel.values[i].textContent = field.value(body, sel);
+    });
+    panel.root.hidden = false;
+  } else {
+    highlight.visible = false;
+    panel.root.hidden = true;
+  }
+
+  if (sel.onSelect) sel.onSelect(body);
+}
+
+/**
+ * Refreshes the live rows of the info panel
+ * @param {Object} sel The selection state
+ */
+export function updateSelection(sel) {
+  if (!sel.body) return;
+  sel.highlight.scale.setScalar(sel.body.radius * HIGHLIGHT_SCALE);
+  INFO_FIELDS.forEach((field, i) => {
+    if (!field.live) return;
+    const text = field.value(sel.body, sel);
+    if (sel.panel.values[i].textContent !== text) sel.panel.values[i].textContent = text;
+  });
+}
+
+/**
+ * Raycasts the body meshes under a pointer position
+ * @param {Object} sel The selection state
+ * @param {THREE.Vector2} ndc Pointer in normalised device coordinates
+ * @returns {Object|null} The body hit, if any
+ */
+function pickBody(sel, ndc) {
+  sel.raycaster.setFromCamera(ndc, sel.camera);
+  const hits = sel.raycaster.intersectObjects(sel.meshes, false);
+  return hits.length ? hits[0].object.userData.body : null;
+}
+
+/**
+ * Builds the (hidden) info panel DOM
+ * @returns {Object} The panel root and the elements that get filled in
+ */
+function createInfoPanel() {
+  const root = document.createElement('div');
+  root.className = 'panel info-panel';
+  root.hidden = true;
+
+  const close = document.createElement('button');
+  close.className = 'info-close';
+  close.textContent = '×';
+  const title = document.createElement('div');
+  title.className = 'info-title';
+  const description = document.createElement('div');
+  description.className = 'info-description';
+
+  const table = document.createElement('table');
+  const values = INFO_FIELDS.map(field => {
+    const row = table.insertRow();
+    row.insertCell().textContent = field.label;
+    return row.insertCell();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'info-actions';
+
+  root.append(close, title, description, table, actions);
+  document.body.appendChild(root);
+  return { root, close, title, description, values, actions };
+}
+
+/**
+ * Formats a mass in Earth masses, or solar masses for stars
+ * @param {number} mass Mass in scene units
+ * @returns {string} The formatted mass
+ */
+function formatMass(mass) {
+  if (mass >= SOLAR_MASS * 0.01) return `${formatNumber(mass / SOLAR_MASS)} M☉`;
+  return `${formatNumber(mass / EARTH_MASS)} M⊕`;
+}
@@ -4,26 +4,35 @@
 
 // Spacetime "grid"
 export const GRID_VERTEX_SHADER = `
-    uniform vec3 sunPos, earthPos;
-    uniform float mass, earthMass, G, falloff;
+    // xyz = world position, w = mass; one per body (MAX_WELLS is a define)
+    uniform vec4 wells[MAX_WELLS];
+    uniform int wellCount;
+    uniform float potentialScale, falloff;
     varying vec3 vWorldPos;
 
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+
     void main(){
         vec4 wp = modelMatrix * vec4(position,1.0);
 
-        // horizontal distances
-        float dSun   = length(wp.xz - sunPos.xz) + 0.0001;
-        float dEarth = length(wp.xz - earthPos.xz) + 0.0001;
+        // sum the softened potential of every body, the one the gravity
+        // forces come from, so the slope of the grid follows the pull
+        float dip = 0.0;
+        for (int i = 0; i < MAX_WELLS; i++) {
+            if (i >= wellCount) break;
 
-        // inverse‑square dips
-        float dipSun   = G * mass      / (dSun*dSun   + falloff);
-        float dipEarth = G * earthMass / (dEarth*dEarth + falloff);
+            // horizontal distance
+            float d = length(wp.xz - wells[i].xz);
+            dip += potentialScale * wells[i].w / sqrt(d*d + falloff);
+        }
 
         // total dip
-        wp.y -= (dipSun + dipEarth);
+        wp.y -= dip;
 
         vWorldPos = wp.xyz;
         gl_Position = projectionMatrix * viewMatrix * wp;
+        #include <logdepthbuf_vertex>
     }
 `;
 
@@ -35,6 +44,8 @@ export const GRID_FRAGMENT_SHADER = `
     uniform float fadeStartDistance;
     varying vec3 vWorldPos;
 
+    #include <logdepthbuf_pars_fragment>
+
     // draw anti-aliased grid lines with distance-based fading
     void main(){
       // Calculate distance from player to current grid point
@@ -63,22 +74,13 @@ export const GRID_FRAGMENT_SHADER = `
       
       // final color + alpha
       gl_FragColor = vec4(gridColor, finalOpacity);
+      #include <logdepthbuf_fragment>
     }
 `;
 
-// The Sun (this one's actually kinda cool)
-export const SUN_VERTEX_SHADER = `
-    varying vec3 vNormal;
-    void main(){
-      vNormal = normalMatrix * normal;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position,1.0);
-    }
-`;
-
-export const SUN_FRAGMENT_SHADER = `
-    uniform float time, scale, speed;
-    varying vec3 vNormal;
-
+// 3D simplex noise, shared by the Sun, the Earth's procedural layers, the
+// sky background and the nebulae
+export const SIMPLEX_NOISE = `
     // ---- begin Ashima 3D simplex noise funcs (snoise) ----
     vec3 _mod289(vec3 x){ return x - floor(x*(1.0/289.0))*289.0; }
     vec4 _mod289(vec4 x){ return x - floor(x*(1.0/289.0))*289.0; }
@@ -154,10 +156,109 @@ export const SUN_FRAGMENT_SHADER = `
       ));
     }
     // ---- end snoise ----
+`;
+
+// Eclipses: how much of the Sun a point can see past the bodies listed in
+// `occluders`. Both discs are treated as flat circles on the sky, so a body
+// smaller than the Sun gives a penumbra that fades in from its edge and an
+// umbra (or, too far out for that, an annulus) in the middle. Needs a
+// sunPosition uniform and MAX_OCCLUDERS defined.
+const ECLIPSE_SHADOW = `
+    uniform float sunRadius;
+    uniform vec4 occluders[MAX_OCCLUDERS];   // xyz = world centre, w = radius
+    uniform int occluderCount;
+
+    // Area shared by circles of radius a and b whose centres are d apart
+    float discOverlap(float a, float b, float d){
+      if (d >= a + b) return 0.0;
+      float s = min(a, b);
+      if (d <= abs(a - b)) return 3.14159265 * s * s;
+      float alpha = acos(clamp((d*d + a*a - b*b) / (2.0*d*a), -1.0, 1.0));
+      float beta  = acos(clamp((d*d + b*b - a*a) / (2.0*d*b), -1.0, 1.0));
+      float kite  = sqrt(max((-d + a + b) * (d + a - b) * (d - a + b) * (d + a + b), 0.0));
+      return a*a*alpha + b*b*beta - 0.5 * kite;
+    }
+
+    float eclipseShadow(vec3 p){
+      vec3 toSun = sunPosition - p;
+      float sunDistance = length(toSun);
+      vec3 L = toSun / sunDistance;
+      float a = asin(min(sunRadius / sunDistance, 1.0));
+      float light = 1.0;
+      for (int i = 0; i < MAX_OCCLUDERS; i++) {
+        if (i >= occluderCount) break;
+        vec3 toBody = occluders[i].xyz - p;
+        float d = length(toBody);
+        if (d >= sunDistance) continue;
+        vec3 dir = toBody / d;
+        float b = asin(min(occluders[i].w / d, 1.0));
+        // atan of sine over cosine stays accurate for the tiny angles at true scale
+        float apart = atan(length(cross(dir, L)), dot(dir, L));
+        light -= discOverlap(a, b, apart) / (3.14159265 * a * a);
+      }
+      return max(light, 0.0);
+    }
+`;
+
+// Lets a built-in lit material (Phong, Lambert) take eclipse shadows: the
+// direct light is scaled by eclipseShadow. Patched in with onBeforeCompile.
+export const ECLIPSE_VERTEX_PARS = `
+    #include <common>
+    varying vec3 vEclipseWorld;
+`;
+
+export const ECLIPSE_VERTEX = `
+    #include <project_vertex>
+    vEclipseWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;
+`;
+
+export const ECLIPSE_FRAGMENT_PARS = `
+    #include <common>
+    uniform vec3 sunPosition;
+    varying vec3 vEclipseWorld;
+    ${ECLIPSE_SHADOW}
+`;
+
+export const ECLIPSE_FRAGMENT = `
+    #include <lights_fragment_end>
+    float eclipse = eclipseShadow(vEclipseWorld);
+    reflectedLight.directDiffuse *= eclipse;
+    reflectedLight.directSpecular *= eclipse;
+`;
+
+// The Sun (this one's actually kinda cool). Granulation is sampled on the
+// sphere itself so it turns with the Sun; the disc darkens toward the limb,
+// more in blue than in red, because near the edge we only see the cooler
+// upper layers of the photosphere.
+export const SUN_VERTEX_SHADER = `
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
+    varying vec3 vLocal;
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vNormal = normalMatrix * normal;
+      vLocal = normal;
+      vec4 mvPosition = modelViewMatrix * vec4(position,1.0);
+      vViewPosition = -mvPosition.xyz;
+      gl_Position = projectionMatrix * mvPosition;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const SUN_FRAGMENT_SHADER = `
+    uniform float time, scale, speed;
+    uniform vec3 limbDarkening;    // linear limb-darkening coefficient per channel
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
+    varying vec3 vLocal;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
 
     void main(){
       // sample 3D noise on the sphere surface
-      vec3 pos = normalize(vNormal) * scale + vec3(time*speed);
+      vec3 pos = normalize(vLocal) * scale + vec3(time*speed);
       float n = snoise(pos) * 0.5 + 0.5;   // remap to [0,1]
 
       // color gradient
@@ -168,6 +269,442 @@ export const SUN_FRAGMENT_SHADER = `
       float glow    = smoothstep(0.3,1.0,n)*1.5;
       float b       = ambient + glow;
 
-      gl_FragColor = vec4(base * b, 1.0);
+      // I(mu) = 1 - u (1 - mu), mu being the cosine of the angle to the line of sight
+      float mu = max(dot(normalize(vNormal), normalize(vViewPosition)), 0.0);
+      vec3 limb = 1.0 - limbDarkening * (1.0 - mu);
+
+      gl_FragColor = vec4(base * b * limb, 1.0);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// The corona: a camera-facing quad around the Sun. Each fragment works out
+// which way it lies from the centre in world space, so the streamers stay
+// put as the camera moves, and how far out it is in solar radii, which sets
+// the falloff. Flares brighten it through `activity`.
+export const CORONA_VERTEX_SHADER = `
+    uniform float bodyRadius;
+    varying vec3 vOffset;          // world-space offset from the centre, in body radii
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vec4 mvPosition = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+      float s = length(modelMatrix[0].xyz);
+      vec3 offset = vec3(position.xy * s, 0.0);
+      mvPosition.xyz += offset;
+      vOffset = (vec4(offset, 0.0) * viewMatrix).xyz / (s * bodyRadius);
+      gl_Position = projectionMatrix * mvPosition;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const CORONA_FRAGMENT_SHADER = `
+    uniform float time, speed, extent, intensity, activity;
+    varying vec3 vOffset;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
+
+    void main(){
+      float r = length(vOffset);
+      vec3 dir = vOffset / r;
+
+      // Broad streamers fixed to the direction, finer rays flowing outward
+      float t = time * speed;
+      float broad = snoise(dir * 3.0 + vec3(t * 0.05)) * 0.5 + 0.5;
+      float fine = snoise(dir * 14.0 + vec3(0.0, 0.0, r * 0.6 - t * 0.3)) * 0.5 + 0.5;
+      float rays = 0.45 + 0.9 * broad * broad + 0.35 * fine;
+
+      // Steep falloff with height, down to nothing at the edge of the quad
+      float falloff = pow(max(r, 1.0), -3.0);
+      float edge = 1.0 - smoothstep(extent * 0.55, extent, r);
+      float b = falloff * rays * edge * intensity * (1.0 + activity);
+
+      vec3 color = mix(vec3(1.0, 0.78, 0.5), vec3(0.9, 0.93, 1.0), smoothstep(1.0, extent, r));
+      gl_FragColor = vec4(color * b, 1.0);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// Prominences: loops of glowing plasma (a half torus) that rise off the
+// surface, flash and fade. Brightest through the thick of the tube, with
+// knots of material streaming along the loop.
+export const PROMINENCE_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vUv = uv;
+      vNormal = normalMatrix * normal;
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      vViewPosition = -mvPosition.xyz;
+      gl_Position = projectionMatrix * mvPosition;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const PROMINENCE_FRAGMENT_SHADER = `
+    uniform float time, speed, seed, brightness, flash;
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
+
+    void main(){
+      // Looking through the middle of the tube means looking through more gas
+      float depth = abs(dot(normalize(vNormal), normalize(vViewPosition)));
+      float knots = snoise(vec3(vUv.x * 10.0 - time * speed * 2.0, vUv.y * 2.0, seed)) * 0.5 + 0.5;
+
+      // Fade in at the footpoints so the loop grows out of the surface
+      float feet = smoothstep(0.0, 0.08, vUv.x) * smoothstep(1.0, 0.92, vUv.x);
+      float b = depth * (0.4 + knots) * feet * brightness;
+
+      vec3 color = mix(vec3(1.0, 0.35, 0.12), vec3(1.0, 0.9, 0.7), flash);
+      gl_FragColor = vec4(color * b * (1.0 + flash * 3.0), 1.0);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// The Earth: day map, city lights on the night side, ocean glints off the
+// water normal map, drifting clouds and a scattering haze toward the limb.
+// Every map is optional (the has* flags); missing ones fall back to noise.
+export const EARTH_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vNormal;      // world space
+    varying vec3 vWorldPos;
+    varying vec3 vNorth;       // world-space spin axis, for the ocean's tangent frame
+    varying vec3 vLocal;       // object-space direction, so noise turns with the planet
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vUv = uv;
+      vNormal = normalize(mat3(modelMatrix) * normal);
+      vNorth = normalize(mat3(modelMatrix) * vec3(0.0, 1.0, 0.0));
+      vLocal = normalize(position);
+      vec4 wp = modelMatrix * vec4(position, 1.0);
+      vWorldPos = wp.xyz;
+      gl_Position = projectionMatrix * viewMatrix * wp;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const EARTH_FRAGMENT_SHADER = `
+    uniform sampler2D dayMap, nightMap, cloudMap, waterNormalMap, topographyMap;
+    uniform float hasDayMap, hasNightMap, hasCloudMap, hasWaterNormalMap, hasTopographyMap;
+    uniform float bumpScale;
+    uniform vec3 sunPosition;      // world space, set just before each render
+    uniform float time, cloudSpeed;
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vWorldPos;
+    varying vec3 vNorth;
+    varying vec3 vLocal;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
+    ${ECLIPSE_SHADOW}
+
+    float fbm(vec3 p){
+      float sum = 0.0, amp = 0.5;
+      for (int i = 0; i < 5; i++) {
+        sum += amp * snoise(p);
+        p *= 2.03;
+        amp *= 0.5;
+      }
+      return sum;
+    }
+
+    // Derivative bump mapping off the topography (after three.js' bumpmap chunk)
+    vec3 bumpNormal(vec3 n){
+      vec2 dSTdx = dFdx(vUv), dSTdy = dFdy(vUv);
+      float h = bumpScale * texture2D(topographyMap, vUv).x;
+      vec2 dH = vec2(
+        bumpScale * texture2D(topographyMap, vUv + dSTdx).x - h,
+        bumpScale * texture2D(topographyMap, vUv + dSTdy).x - h
+      );
+      vec3 sX = dFdx(vWorldPos), sY = dFdy(vWorldPos);
+      vec3 r1 = cross(sY, n), r2 = cross(n, sX);
+      float det = dot(sX, r1);
+      vec3 grad = sign(det) * (dH.x * r1 + dH.y * r2);
+      return normalize(abs(det) * n - grad);
+    }
+
+    void main(){
+      vec3 N = normalize(vNormal);
+      vec3 L = normalize(sunPosition - vWorldPos);
+      vec3 V = normalize(cameraPosition - vWorldPos);
+      vec3 ground = normalize(vLocal);
+      float sunDot = dot(N, L);
+      float shadow = eclipseShadow(vWorldPos);
+
+      // Land and sea: the topography knows where the coast is, else guess from colour or noise
+      float landNoise = snoise(ground * 2.0 + 7.0);
+      vec3 day = hasDayMap > 0.5
+        ? texture2D(dayMap, vUv).rgb
+        : mix(vec3(0.02, 0.08, 0.25), vec3(0.22, 0.32, 0.14), step(0.15, landNoise));
+      float ocean;
+      if (hasTopographyMap > 0.5) {
+        ocean = 1.0 - smoothstep(0.01, 0.05, texture2D(topographyMap, vUv).x);
+        N = bumpNormal(N);
+      } else if (hasDayMap > 0.5) {
+        ocean = smoothstep(0.02, 0.1, day.b - max(day.r, day.g));
+      } else {
+        ocean = 1.0 - step(0.15, landNoise);
+      }
+      float diffuse = max(dot(N, L), 0.0) * shadow;
+
+      // Ocean glint: ripple the normal with the water map in a tangent frame
+      vec3 Nw = N;
+      if (hasWaterNormalMap > 0.5) {
+        vec3 T = normalize(cross(vNorth, N));
+        vec3 B = cross(N, T);
+        vec3 w = texture2D(waterNormalMap, vUv * vec2(40.0, 20.0) + vec2(time * 0.002, 0.0)).xyz * 2.0 - 1.0;
+        Nw = normalize(T * w.x * 0.25 + B * w.y * 0.25 + N * w.z);
+      }
+      float glint = pow(max(dot(reflect(-L, Nw), V), 0.0), 80.0) * ocean * step(0.0, sunDot) * shadow;
+
+      // City lights: only on land and only once the Sun has set
+      vec3 lights = hasNightMap > 0.5
+        ? texture2D(nightMap, vUv).rgb
+        : vec3(1.0, 0.75, 0.4) * (1.0 - ocean) * smoothstep(0.55, 0.8, snoise(ground * 90.0) * 0.5 + 0.5)
+          * smoothstep(-0.2, 0.3, snoise(ground * 6.0));
+      float night = smoothstep(0.05, -0.15, sunDot);
+
+      // Clouds drift east over the surface and dim the lights beneath them
+      float clouds = hasCloudMap > 0.5
+        ? texture2D(cloudMap, vUv + vec2(time * cloudSpeed, 0.0)).r
+        : smoothstep(0.05, 0.6, fbm(ground * 3.0 + vec3(time * cloudSpeed, 0.0, 0.0)));
+
+      vec3 color = day * (diffuse + 0.02) + vec3(1.0, 0.95, 0.85) * glint;
+      color += lights * night * (1.0 - clouds) * 1.5;
+      color = mix(color, vec3(max(dot(normalize(vNormal), L), 0.0) * shadow + 0.02), clouds * 0.85);
+
+      // Haze thickening toward the limb on the day side, blue from Rayleigh scattering
+      float limb = pow(1.0 - max(dot(normalize(vNormal), V), 0.0), 3.0);
+      color += vec3(0.18, 0.42, 1.0) * limb * smoothstep(-0.2, 0.4, sunDot) * shadow * 0.8;
+
+      gl_FragColor = vec4(color, 1.0);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// The atmosphere shell around the Earth: a back-facing sphere a little
+// bigger than the planet, brightest where the line of sight skims the air
+export const ATMOSPHERE_VERTEX_SHADER = `
+    varying vec3 vWorldPos;
+    varying vec3 vCenter;
+    varying float vScale;
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vec4 wp = modelMatrix * vec4(position, 1.0);
+      vWorldPos = wp.xyz;
+      vCenter = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+      vScale = length(modelMatrix[0].xyz);
+      gl_Position = projectionMatrix * viewMatrix * wp;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const ATMOSPHERE_FRAGMENT_SHADER = `
+    uniform vec3 sunPosition;      // world space, set just before each render
+    uniform float planetRadius, atmosphereRadius, intensity;
+    varying vec3 vWorldPos;
+    varying vec3 vCenter;
+    varying float vScale;
+    #include <logdepthbuf_pars_fragment>
+
+    void main(){
+      // How high above the surface the line of sight passes
+      vec3 ray = normalize(vWorldPos - cameraPosition);
+      vec3 toCenter = vCenter - cameraPosition;
+      vec3 closest = cameraPosition + ray * max(dot(toCenter, ray), 0.0);
+      float height = length(closest - vCenter) / vScale;
+      float t = clamp((height - planetRadius) / (atmosphereRadius - planetRadius), 0.0, 1.0);
+      float density = exp(-4.0 * t) * (1.0 - t);
+
+      // Lit where that point faces the Sun, a little past the terminator for twilight
+      vec3 L = normalize(sunPosition - closest);
+      float sunDot = dot(normalize(closest - vCenter), L);
+      float lit = smoothstep(-0.25, 0.35, sunDot);
+
+      // Rayleigh: scattering goes as 1/wavelength^4, phase 3/4 (1 + cos²θ)
+      vec3 beta = vec3(0.175, 0.41, 1.0);
+      float cosTheta = dot(L, -ray);
+      float phase = 0.75 * (1.0 + cosTheta * cosTheta);
+
+      // Light that's come a long way through the air near the terminator has lost its blue
+      vec3 tint = mix(vec3(1.0, 0.55, 0.3), vec3(1.0), smoothstep(0.0, 0.3, sunDot));
+
+      gl_FragColor = vec4(beta * tint * phase * density * lit * intensity, 1.0);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// Planetary rings: a flat annulus in the body's equatorial plane. Density
+// comes from a radial strip texture (alpha) if there is one, else from
+// ringlets of noise in radius, with gaps cut out; the body's shadow falls
+// across it through eclipseShadow.
+export const RING_VERTEX_SHADER = `
+    varying vec3 vLocal;
+    varying vec3 vWorldPos;
+    varying vec3 vNormal;
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vLocal = position;
+      vec4 wp = modelMatrix * vec4(position, 1.0);
+      vWorldPos = wp.xyz;
+      vNormal = normalize(mat3(modelMatrix) * normal);
+      gl_Position = projectionMatrix * viewMatrix * wp;
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const RING_FRAGMENT_SHADER = `
+    uniform sampler2D ringMap;
+    uniform float hasRingMap;
+    uniform vec3 ringColor;
+    uniform float bodyRadius, inner, outer, opacity;   // radii in body radii
+    uniform vec2 gaps[MAX_RING_GAPS];                  // start and end, in body radii
+    uniform int gapCount;
+    uniform vec3 sunPosition;      // world space, set just before each render
+    varying vec3 vLocal;
+    varying vec3 vWorldPos;
+    varying vec3 vNormal;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
+    ${ECLIPSE_SHADOW}
+
+    void main(){
+      float r = length(vLocal.xz) / bodyRadius;
+      float t = (r - inner) / (outer - inner);
+      if (t < 0.0 || t > 1.0) discard;
+
+      vec3 color = ringColor;
+      float density;
+      if (hasRingMap > 0.5) {
+        vec4 strip = texture2D(ringMap, vec2(t, 0.5));
+        color = strip.rgb;
+        density = strip.a;
+      } else {
+        float n = snoise(vec3(r * 40.0, 0.0, 0.0)) * 0.5 + snoise(vec3(r * 160.0, 1.7, 0.0)) * 0.25 + 0.5;
+        density = clamp(0.35 + 0.6 * n, 0.0, 1.0) * smoothstep(0.0, 0.06, t) * smoothstep(1.0, 0.94, t);
+        color *= 0.8 + 0.4 * n;
+      }
+      for (int i = 0; i < MAX_RING_GAPS; i++) {
+        if (i >= gapCount) break;
+        density *= 1.0 - smoothstep(gaps[i].x - 0.004, gaps[i].x, r) * (1.0 - smoothstep(gaps[i].y, gaps[i].y + 0.004, r));
+      }
+
+      // Seen from the unlit face, only light that has made it through shows
+      vec3 N = normalize(vNormal);
+      float sameSide = step(0.0, dot(N, sunPosition - vWorldPos) * dot(N, cameraPosition - vWorldPos));
+      float through = mix(0.4 * (1.0 - density), 1.0, sameSide);
+
+      gl_FragColor = vec4(color * eclipseShadow(vWorldPos) * through, density * opacity);
+      #include <logdepthbuf_fragment>
+    }
+`;
+
+// Asteroid belt rocks: each instance carries its own circular orbit, and the
+// vertex shader moves it along, so the belt costs no per-frame work on the
+// CPU. Patched into a Lambert material's project_vertex with onBeforeCompile.
+export const ASTEROID_VERTEX_PARS = `
+    #include <common>
+    uniform float time, inner, outer, rockScale;
+    attribute vec4 aOrbit;         // place across the belt (0 to 1), phase, mean motion, inclination
+    attribute float aNode;         // longitude of the ascending node
+
+    // Ecliptic circular orbit, mapped to the scene like eclipticToScene
+    vec3 beltPosition(){
+      float r = mix(inner, outer, aOrbit.x);
+      float u = aOrbit.y + aOrbit.z * time;
+      float cn = cos(aNode), sn = sin(aNode);
+      float ci = cos(aOrbit.w), si = sin(aOrbit.w);
+      vec3 p = r * vec3(cn * cos(u) - sn * sin(u) * ci, sn * cos(u) + cn * sin(u) * ci, sin(u) * si);
+      return vec3(p.x, p.z, -p.y);
+    }
+`;
+
+export const ASTEROID_VERTEX = `
+    vec4 mvPosition = instanceMatrix * vec4(transformed * rockScale, 1.0);
+    mvPosition.xyz += beltPosition();
+    mvPosition = modelViewMatrix * mvPosition;
+    gl_Position = projectionMatrix * mvPosition;
+`;
+
+// Nebulae: clouds of glowing gas raymarched through a unit sphere (scaled
+// and turned by the mesh). The sphere is drawn from its back faces so the
+// march still works from inside it. Density is fractal noise thinning out
+// toward the edge; the core glows hotter, and thick gas hides what is behind
+// it, so the output is premultiplied (light, coverage). STEPS is a define.
+export const NEBULA_VERTEX_SHADER = `
+    varying vec3 vLocal;           // point on the sphere, object space
+    varying vec3 vEye;             // camera, object space
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+    void main(){
+      vLocal = position;
+      vEye = (inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      #include <logdepthbuf_vertex>
+    }
+`;
+
+export const NEBULA_FRAGMENT_SHADER = `
+    uniform vec3 color, coreColor;
+    uniform float density, emission, seed;
+    varying vec3 vLocal;
+    varying vec3 vEye;
+    #include <logdepthbuf_pars_fragment>
+
+    ${SIMPLEX_NOISE}
+
+    float fbm(vec3 p){
+      float sum = 0.0, amp = 0.5;
+      for (int i = 0; i < 4; i++) {
+        sum += amp * snoise(p);
+        p *= 2.03;
+        amp *= 0.5;
+      }
+      return sum;
+    }
+
+    void main(){
+      // The view ray clipped to the unit sphere
+      vec3 dir = normalize(vLocal - vEye);
+      float b = dot(vEye, dir);
+      float h = b * b - dot(vEye, vEye) + 1.0;
+      if (h <= 0.0) discard;
+      h = sqrt(h);
+      float near = max(-b - h, 0.0);
+      float stepLength = (-b + h - near) / float(STEPS);
+
+      // Jitter the start per pixel so the steps don't show as contours
+      float t = near + stepLength * fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+
+      vec3 light = vec3(0.0);
+      float transmittance = 1.0;
+      for (int i = 0; i < STEPS; i++) {
+        vec3 p = vEye + dir * t;
+        float falloff = 1.0 - dot(p, p);
+        float gas = max(fbm(p * 2.2 + seed) + falloff - 0.55, 0.0) * density * stepLength;
+
+        // Hotter toward the middle, in knots
+        float core = smoothstep(0.4, 1.0, falloff) * (snoise(p * 4.0 - seed) * 0.5 + 0.5);
+        light += transmittance * gas * emission * mix(color, coreColor, core);
+        transmittance *= exp(-gas);
+        if (transmittance < 0.01) break;
+        t += stepLength;
+      }
+
+      gl_FragColor = vec4(light, 1.0 - transmittance);
+      #include <logdepthbuf_fragment>
     }
 `;
@@ -0,0 +1,43 @@
+/**
+ * This file contains the registry of flyable ships. Each entry describes how
+ * to load and orient the model, how it handles and where the chase camera
+ * sits. The X-Wing is the only one so far, so there's no picker.
+ */
+
+import { MOVE_SPEED } from './constants.js';
+
+/**
+ * Ship definition fields:
+ *   name          label shown in the picker
+ *   model         glTF path (relative to public/)
+ *   scale         uniform model scale, or
+ *   fitSize       scale the model so its longest side is this many units
+ *   rotation      [x, y, z] Euler correction so the model faces +z with +y up
+ *   handling      acceleration (units/s²), maxVelocity (units/s) and
+ *                 turn/pitch/roll speeds (radians/s)
+ *   cameraOffset  [x, y, z] chase camera position in the ship's frame
+ *   cockpitOffset [x, y, z] cockpit camera position in the ship's frame
+ *   hullRadius    radius of the sphere used for collisions and landing
+ */
+export const SHIPS = {
+  'x-wing': {
+    name: 'X-Wing',
+    model: 'x-wing/scene.gltf',
+    scale: 0.5,
+    rotation: [0, 0, 0],
+    handling: {
+      acceleration: MOVE_SPEED * 2,
+      maxVelocity: MOVE_SPEED,
+      turnSpeed: Math.PI * 0.5,
+      pitchSpeed: Math.PI * 0.5,
+      rollSpeed: Math.PI * 0.8
+    },
+    cameraOffset: [0, 4, -10],
+    cockpitOffset: [0, 0.9, 1.2],
+    hullRadius: 1.5
+  }
+  // The Outer Wilds ship in public/outer-wilds-ship/ can't be registered
+  // yet: its scene.gltf points at a scene.bin that isn't bundled
+};
+
+export const DEFAULT_SHIP = 'x-wing';
@@ -0,0 +1,179 @@
+/**
+ * This file contains the simulation clock. Simulated time runs separately
+ * from wall time so it can be paused, sped up, run backwards or jumped to a
+ * calendar date. Sim time is kept in seconds since SIM_EPOCH; the orbits
+ * consume it in scene seconds via getSceneTime.
+ */
+
+import {
+  SIM_EPOCH,
+  SCENE_TIME_SCALE,
+  DEFAULT_TIME_RATE,
+  MIN_TIME_RATE,
+  MAX_TIME_RATE
+} from './constants.js';
+
+const MS_PER_SECOND = 1000;
+const RATE_STEP = 10;        // [ and ] change the rate by this factor
+
+/**
+ * Creates a simulation clock
+ * @param {Date|number} [start] Date to start at (defaults to now)
+ * @returns {Object} The clock state
+ */
+export function createSimClock(start = Date.now()) {
+  return {
+    seconds: (Number(start) - SIM_EPOCH) / MS_PER_SECOND,   // simulated seconds since SIM_EPOCH
+    rate: DEFAULT_TIME_RATE,   // simulated seconds per real second (negative = reverse)
+    paused: false
+  };
+}
+
+/**
+ * Advances the clock by a slice of real time
+ * @param {Object} clock The simulation clock
+ * @param {number} realDelta Real seconds since the last tick
+ * @returns {number} The simulated seconds that passed this tick
+ */
+export function tickSimClock(clock, realDelta) {
+  if (clock.paused) return 0;
+  const step = realDelta * clock.rate;
+  clock.seconds += step;
+  return step;
+}
+
+/**
+ * Current time in the units the scene animates with
+ * @param {Object} clock The simulation clock
+ * @returns {number} Scene seconds since the epoch
+ */
+export function getSceneTime(clock) {
+  return clock.seconds * SCENE_TIME_SCALE;
+}
+
+/**
+ * Sets the time multiplier, keeping its sign and clamping its magnitude
+ * @param {Object} clock The simulation clock
+ * @param {number} rate Simulated seconds per real second
+ */
+export function setTimeRate(clock, rate) {
+  const sign = rate < 0 ? -1 : 1;
+  const magnitude = Math.min(MAX_TIME_RATE, Math.max(MIN_TIME_RATE, Math.abs(rate)));
+  clock.rate = sign * magnitude;
+}
+
+/**
+ * Pauses or resumes the clock
+ * @param {Object} clock The simulation clock
+ */
+export function togglePause(clock) {
+  clock.paused = !clock.paused;
+}
+
+/**
+ * Flips the direction time flows in
+ * @param {Object} clock The simulation clock
+ */
+export function reverseTime(clock) {
+  clock.rate = -clock.rate;
+}
+
+/**
+ * Jumps the clock to a calendar date
+ * @param {Object} clock The simulation clock
+ * @param {Date|number} date Date object or ms since the Unix epoch
+ */
+export function setSimDate(clock, date) {
+  clock.seconds = (Number(date) - SIM_EPOCH) / MS_PER_SECOND;
+}
+
+/**
+ * Calendar date the clock is currently at
+ * @param {Object} clock The simulation clock
+ * @returns {Date} The simulated date
+ */
+export function getSimDate(clock) {
+  return new Date(SIM_EPOCH + clock.seconds * MS_PER_SECOND);
+}
+
+/**
+ * Set up keyboard shortcuts for the clock:
+ * P pause, [ slower, ] faster, R reverse
+ * @param {Object} clock The simulation clock
+ */
+export function setupSimClockControls(clock) {
+  window.addEventListener('keydown', e => {
+    if (e.target instanceof HTMLInputElement) return;
+    if (e.code === 'KeyP') togglePause(clock);
+    if (e.code === 'BracketLeft') setTimeRate(clock, clock.rate / RATE_STEP);
+    if (e.code === 'BracketRight') setTimeRate(clock, clock.rate * RATE_STEP);
+    if (e.code === 'KeyR') reverseTime(clock);
+  });
+}
+
+/**
+ * Creates the on-screen time panel with date readout, rate buttons and a
+ * jump-to-date field
+ * @param {Object} clock The simulation clock
+ * @returns {Object} The panel and its readout elements
+ */
+export function createTimePanel(clock) {
+  const panel = document.createElement('div');
+  panel.className = 'panel time-panel';
+
+  const date = document.createElement('div');
+  date.className = 'time-date';
+  const rate = document.createElement('div');
+  rate.className = 'time-rate';
+
+  const buttons = document.createElement('div');
+  const addButton = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    buttons.appendChild(btn);
+  };
+  addButton('⇄', 'Reverse (R)', () => reverseTime(clock));
+  addButton('−', 'Slower ([)', () => setTimeRate(clock, clock.rate / RATE_STEP));
+  addButton('⏯', 'Pause (P)', () => togglePause(clock));
+  addButton('+', 'Faster (])', () => setTimeRate(clock, clock.rate * RATE_STEP));
+
+  const jump = document.createElement('form');
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  const go = document.createElement('button');
+  go.type = 'submit';
+  go.textContent = 'Go';
+  jump.append(dateInput, go);
+  jump.addEventListener('submit', e => {
+    e.preventDefault();
+    if (!Number.isNaN(dateInput.valueAsNumber)) setSimDate(clock, dateInput.valueAsNumber);
+  });
+
+  panel.append(date, rate, buttons, jump);
+  document.body.appendChild(panel);
+
+  return { panel, date, rate, lastDate: '', lastRate: '' };
+}
+
+/**
+ * Refreshes the time panel readouts, touching the DOM only on change
+ * @param {Object} timePanel The panel returned by createTimePanel
+ * @param {Object} clock The simulation clock
+ */
+export function updateTimePanel(timePanel, clock) {
+  const dateText = getSimDate(clock).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+  const rateText = clock.paused
+    ? 'paused'
+    : `${clock.rate < 0 ? '−' : ''}${Math.abs(clock.rate).toLocaleString()}×`;
+
+  if (dateText !== timePanel.lastDate) {
+    timePanel.date.textContent = dateText;
+    timePanel.lastDate = dateText;
+  }
+  if (rateText !== timePanel.lastRate) {
+    timePanel.rate.textContent = rateText;
+    timePanel.lastRate = rateText;
+  }
+}
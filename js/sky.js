@@ -0,0 +1,121 @@
+/**
+ * This file contains the sky layer: the background, the distant galaxies
+ * and the stars, drawn as if they were infinitely far away. They live in a
+ * scene of their own, with a camera that turns with the main one but stays
+ * at the centre, so flying about can't bring any of them closer or slide
+ * them past each other. The sky is drawn first and the scene over it, so
+ * nothing can fly through it, and the main camera's near and far planes
+ * (which change with the layout scale) never clip it.
+ *
+ * The sky can also be baked once into a cube map and used as the main
+ * scene's background (SKY_CUBE_MAP in constants.js). That saves drawing
+ * thousands of stars every frame, but the nebulae stop drifting and the stars
+ * stop turning.
+ *
+ * The galactic zoom takes the sky camera out of the centre, to park in front
+ * of one of the galaxies: it keeps turning with the main camera, so looking
+ * around swings it round the galaxy to see it from any side.
+ */
+
+import * as THREE from 'three';
+import { STAR_FIELD_RADIUS, SKY_CUBE_SIZE } from './constants.js';
+import { wasPressed } from './input.js';
+
+const SKY_NEAR = 1;
+const SKY_FAR = STAR_FIELD_RADIUS * 2;
+const ZOOM_RATE = 1.5;            // how quickly the galactic zoom eases in and out
+const VISIT_DISTANCE = 0.8;       // how far from a galaxy the zoom parks, in its diameters
+const VISIT_LIMIT = STAR_FIELD_RADIUS * 0.95; // the zoom stays this far inside the background sphere
+
+// Scratch objects so the per-frame path doesn't allocate
+const _forward = new THREE.Vector3();
+
+/**
+ * Creates the sky layer. Add the background, galaxies and stars to its scene.
+ * @param {THREE.PerspectiveCamera} camera The main camera, which the sky
+ *   camera turns and zooms with
+ * @returns {Object} The sky state
+ */
+export function createSky(camera) {
+  return {
+    scene: new THREE.Scene(),
+    camera: new THREE.PerspectiveCamera(camera.fov, camera.aspect, SKY_NEAR, SKY_FAR),
+    target: camera,
+    cubeMap: null,              // the baked sky, if bakeSkyCubeMap has been called
+    galaxies: [],               // where the galactic zoom can go
+    visiting: -1,               // index of the galaxy being visited, -1 for none
+    visited: null,              // the last galaxy visited, to zoom back from
+    zoom: 0                     // 0 at the centre to 1 at the galaxy
+  };
+}
+
+/**
+ * Points the sky camera the way the main camera is looking, and moves it
+ * for the galactic zoom. Call after pollInput and after the main camera has
+ * moved, before rendering.
+ * @param {Object} sky The sky state
+ * @param {number} delta Seconds since the last frame
+ */
+export function updateSky(sky, delta) {
+  const { camera, target } = sky;
+  target.updateMatrixWorld();
+  target.getWorldQuaternion(camera.quaternion);
+
+  const { galaxies } = sky;
+  if (galaxies.length && wasPressed('galacticZoom')) {
+    sky.visiting = sky.visiting + 1 < galaxies.length ? sky.visiting + 1 : -1;
+  }
+  const galaxy = sky.galaxies[sky.visiting];
+  if (galaxy) sky.visited = galaxy;
+  sky.zoom = THREE.MathUtils.damp(sky.zoom, galaxy ? 1 : 0, ZOOM_RATE, delta);
+  if (sky.visited && sky.zoom > 1e-4) {
+    // Stand back from the galaxy along the view direction, so it stays ahead,
+    // but not so far that we leave the background sphere (or put its far
+    // side past SKY_FAR) when looking back towards the centre
+    const { position, userData } = sky.visited;
+    _forward.set(0, 0, -1).applyQuaternion(camera.quaternion);
+    const along = position.dot(_forward);
+    const limit = along + Math.sqrt(along * along - position.lengthSq() + VISIT_LIMIT * VISIT_LIMIT);
+    camera.position.copy(position)
+      .addScaledVector(_forward, -Math.min(VISIT_DISTANCE * userData.size, limit))
+      .multiplyScalar(sky.zoom);
+  } else {
+    camera.position.set(0, 0, 0);
+  }
+
+  if (camera.fov !== target.fov || camera.aspect !== target.aspect) {
+    camera.fov = target.fov;
+    camera.aspect = target.aspect;
+    camera.updateProjectionMatrix();
+  }
+}
+
+/**
+ * Set up the galactic zoom: each galacticZoom action (Z) goes on to the
+ * next galaxy, and after the last one back to the centre (see updateSky)
+ * @param {Object} sky The sky state
+ * @param {THREE.Object3D[]} galaxies The galaxies in the sky's scene
+ */
+export function setupGalacticZoom(sky, galaxies) {
+  sky.galaxies = galaxies;
+}
+
+/**
+ * Renders the sky into a cube map, for use as a scene background
+ * @param {Object} sky The sky state
+ * @param {THREE.WebGLRenderer} renderer The renderer
+ * @returns {THREE.CubeTexture} The baked sky
+ */
+export function bakeSkyCubeMap(sky, renderer) {
+  const target = new THREE.WebGLCubeRenderTarget(SKY_CUBE_SIZE, {
+    generateMipmaps: true,
+    minFilter: THREE.LinearMipmapLinearFilter
+  });
+  const cubeCamera = new THREE.CubeCamera(SKY_NEAR, SKY_FAR, target);
+  cubeCamera.update(renderer, sky.scene);
+
+  // Baking again (once late-loading stars are in) replaces the old one
+  if (sky.cubeMap) sky.cubeMap.dispose();
+  sky.cubeMap = target.texture;
+  return sky.cubeMap;
+}
@@ -0,0 +1,346 @@
+/**
+ * This file contains the real sky: the naked-eye stars where they really
+ * are, sized by magnitude and coloured by their B-V colour index, with the
+ * stick figures and names of the main constellations.
+ *
+ * The stars come from public/star-catalogue/bright-stars.json, bundled so
+ * the page works offline: every star down to magnitude 6 (about what the
+ * eye can see on a dark night, the same cut as the Yale Bright Star
+ * Catalogue) from the Hipparcos data the HYG database is built on; see the
+ * license.txt beside it. It's loaded at startup and the stars appear once
+ * it's in. Only the constellation figures are written out here.
+ *
+ * Positions are J2000 right ascension and declination, mapped onto the
+ * scene frame the same way as the IAU poles in rotation.js, so the planets
+ * drift along the zodiac through the right constellations.
+ */
+
+import * as THREE from 'three';
+import { equatorialToScene } from './rotation.js';
+import { STAR_CATALOGUE, SHOW_CONSTELLATIONS } from './constants.js';
+import { wasPressed } from './input.js';
+
+const DEG = Math.PI / 180;
+const HOURS = 15 * DEG;               // right ascension hours to radians
+const REFERENCE_MAGNITUDE = 2;        // a star this bright is drawn POINT_SIZE pixels across
+const POINT_SIZE = 3;                 // pixels
+const MIN_POINT_SIZE = 1.5;           // fainter stars dim rather than shrink past this
+const MAX_POINT_SIZE = 12;
+const LABEL_HEIGHT = 0.03;            // constellation names, as a fraction of the screen height
+const CATALOGUE_URL = 'star-catalogue/bright-stars.json';
+const DEFAULT_BV = 0.6;               // the odd star without a measured colour is drawn Sun-like
+
+/**
+ * Constellation figures: [name, lines between stars]. Stars are named by
+ * their Bayer designation, the `id` the catalogue file gives them (with the
+ * component number where a star is double, as in 'alf1 Cen').
+ */
+const CONSTELLATIONS = [
+  ['Orion', [
+    ['alf Ori', 'lam Ori'], ['lam Ori', 'gam Ori'], ['alf Ori', 'gam Ori'],
+    ['alf Ori', 'zet Ori'], ['gam Ori', 'del Ori'], ['del Ori', 'eps Ori'],
+    ['eps Ori', 'zet Ori'], ['zet Ori', 'kap Ori'], ['del Ori', 'bet Ori']
+  ]],
+  ['Canis Major', [
+    ['bet CMa', 'alf CMa'], ['alf CMa', 'del CMa'], ['del CMa', 'eps CMa'],
+    ['del CMa', 'eta CMa'], ['eps CMa', 'zet CMa']
+  ]],
+  ['Canis Minor', [['alf CMi', 'bet CMi']]],
+  ['Gemini', [
+    ['alf Gem', 'bet Gem'], ['alf Gem', 'eps Gem'], ['eps Gem', 'mu Gem'],
+    ['mu Gem', 'eta Gem'], ['bet Gem', 'del Gem'], ['del Gem', 'zet Gem'],
+    ['zet Gem', 'gam Gem'], ['del Gem', 'xi Gem']
+  ]],
+  ['Taurus', [
+    ['lam Tau', 'gam Tau'], ['gam Tau', 'del Tau'], ['del Tau', 'eps Tau'],
+    ['eps Tau', 'bet Tau'], ['gam Tau', 'alf Tau'], ['alf Tau', 'zet Tau']
+  ]],
+  ['Auriga', [
+    ['alf Aur', 'bet Aur'], ['bet Aur', 'tet Aur'], ['tet Aur', 'bet Tau'],
+    ['bet Tau', 'iot Aur'], ['iot Aur', 'eps Aur'], ['eps Aur', 'alf Aur']
+  ]],
+  ['Perseus', [
+    ['gam Per', 'alf Per'], ['alf Per', 'del Per'], ['del Per', 'eps Per'],
+    ['eps Per', 'zet Per'], ['alf Per', 'bet Per']
+  ]],
+  ['Andromeda', [['alf And', 'del And'], ['del And', 'bet And'], ['bet And', 'gam1 And']]],
+  ['Pegasus', [
+    ['alf Peg', 'bet Peg'], ['bet Peg', 'alf And'], ['alf And', 'gam Peg'],
+    ['gam Peg', 'alf Peg'], ['alf Peg', 'zet Peg'], ['zet Peg', 'tet Peg'],
+    ['tet Peg', 'eps Peg']
+  ]],
+  ['Cassiopeia', [
+    ['bet Cas', 'alf Cas'], ['alf Cas', 'gam Cas'], ['gam Cas', 'del Cas'],
+    ['del Cas', 'eps Cas']
+  ]],
+  ['Cepheus', [
+    ['alf Cep', 'bet Cep'], ['bet Cep', 'gam Cep'], ['gam Cep', 'iot Cep'],
+    ['iot Cep', 'zet Cep'], ['zet Cep', 'alf Cep'], ['bet Cep', 'iot Cep']
+  ]],
+  ['Ursa Major', [
+    ['alf UMa', 'bet UMa'], ['bet UMa', 'gam UMa'], ['gam UMa', 'del UMa'],
+    ['del UMa', 'alf UMa'], ['del UMa', 'eps UMa'], ['eps UMa', 'zet UMa'],
+    ['zet UMa', 'eta UMa']
+  ]],
+  ['Ursa Minor', [
+    ['alf UMi', 'del UMi'], ['del UMi', 'eps UMi'], ['eps UMi', 'zet UMi'],
+    ['zet UMi', 'eta UMi'], ['eta UMi', 'gam UMi'], ['gam UMi', 'bet UMi'],
+    ['bet UMi', 'zet UMi']
+  ]],
+  ['Leo', [
+    ['alf Leo', 'eta Leo'], ['eta Leo', 'gam1 Leo'], ['gam1 Leo', 'zet Leo'],
+    ['zet Leo', 'mu Leo'], ['mu Leo', 'eps Leo'], ['gam1 Leo', 'del Leo'],
+    ['del Leo', 'bet Leo'], ['bet Leo', 'tet Leo'], ['tet Leo', 'alf Leo']
+  ]],
+  ['Virgo', [['alf Vir', 'gam Vir'], ['gam Vir', 'del Vir'], ['del Vir', 'eps Vir']]],
+  ['Corvus', [
+    ['gam Crv', 'del Crv'], ['del Crv', 'bet Crv'], ['bet Crv', 'eps Crv'],
+    ['eps Crv', 'gam Crv']
+  ]],
+  ['Libra', [['alf2 Lib', 'bet Lib']]],
+  ['Bootes', [
+    ['alf Boo', 'eps Boo'], ['eps Boo', 'del Boo'], ['del Boo', 'bet Boo'],
+    ['bet Boo', 'gam Boo'], ['gam Boo', 'rho Boo'], ['rho Boo', 'alf Boo'],
+    ['alf Boo', 'eta Boo']
+  ]],
+  ['Hercules', [
+    ['zet Her', 'eta Her'], ['eta Her', 'pi Her'], ['pi Her', 'eps Her'],
+    ['eps Her', 'zet Her'], ['zet Her', 'bet Her'], ['bet Her', 'alf1 Her']
+  ]],
+  ['Scorpius', [
+    ['bet1 Sco', 'del Sco'], ['del Sco', 'pi Sco'], ['del Sco', 'sig Sco'],
+    ['sig Sco', 'alf Sco'], ['alf Sco', 'tau Sco'], ['tau Sco', 'eps Sco'],
+    ['eps Sco', 'mu1 Sco'], ['mu1 Sco', 'zet2 Sco'], ['zet2 Sco', 'eta Sco'],
+    ['eta Sco', 'tet Sco'], ['tet Sco', 'iot1 Sco'], ['iot1 Sco', 'kap Sco'],
+    ['kap Sco', 'lam Sco']
+  ]],
+  ['Sagittarius', [
+    ['gam2 Sgr', 'del Sgr'], ['del Sgr', 'eps Sgr'], ['eps Sgr', 'gam2 Sgr'],
+    ['del Sgr', 'lam Sgr'], ['lam Sgr', 'phi Sgr'], ['phi Sgr', 'del Sgr'],
+    ['phi Sgr', 'sig Sgr'], ['sig Sgr', 'tau Sgr'], ['tau Sgr', 'zet Sgr'],
+    ['zet Sgr', 'phi Sgr'], ['zet Sgr', 'eps Sgr']
+  ]],
+  ['Lyra', [
+    ['alf Lyr', 'zet1 Lyr'], ['zet1 Lyr', 'bet Lyr'], ['bet Lyr', 'gam Lyr'],
+    ['gam Lyr', 'del2 Lyr'], ['del2 Lyr', 'zet1 Lyr']
+  ]],
+  ['Cygnus', [
+    ['alf Cyg', 'gam Cyg'], ['gam Cyg', 'eta Cyg'], ['eta Cyg', 'bet1 Cyg'],
+    ['del Cyg', 'gam Cyg'], ['gam Cyg', 'eps Cyg'], ['eps Cyg', 'zet Cyg']
+  ]],
+  ['Aquila', [
+    ['gam Aql', 'alf Aql'], ['alf Aql', 'bet Aql'], ['alf Aql', 'del Aql'],
+    ['del Aql', 'lam Aql'], ['del Aql', 'zet Aql'], ['bet Aql', 'tet Aql']
+  ]],
+  ['Crux', [['alf1 Cru', 'gam Cru'], ['bet Cru', 'del Cru']]],
+  ['Centaurus', [['alf1 Cen', 'bet Cen'], ['bet Cen', 'eta Cen'], ['eta Cen', 'tet Cen']]],
+  ['Lepus', [['alf Lep', 'bet Lep']]],
+  ['Aries', [['alf Ari', 'bet Ari']]]
+];
+
+/**
+ * Whether to draw the catalogue sky rather than the random one: ?stars=
+ * catalogue or ?stars=random if given, else STAR_CATALOGUE
+ * @returns {boolean} True for the catalogue
+ */
+export function useStarCatalogue() {
+  const param = new URLSearchParams(window.location.search).get('stars');
+  return param === 'catalogue' || param === 'random' ? param === 'catalogue' : STAR_CATALOGUE;
+}
+
+/**
+ * Creates the catalogue star field. It starts empty and fills in, with the
+ * constellations as children, once the catalogue file has loaded.
+ * @param {number} radius Radius of the sphere the stars sit on
+ * @param {THREE.Texture} texture The star sprite
+ * @returns {THREE.Points} The stars; `userData.loaded` is a Promise that
+ *   settles when they're in
+ */
+export function createCatalogueStars(radius, texture) {
+  // Fixed pixel sizes: the stars are at infinity, so nothing should bring
+  // them closer
+  const material = new THREE.PointsMaterial({
+    size: 1,
+    vertexColors: true,
+    transparent: true,
+    map: texture,
+    alphaTest: 0.1,
+    sizeAttenuation: false
+  });
+  material.onBeforeCompile = shader => {
+    shader.vertexShader = shader.vertexShader
+      .replace('uniform float size;', 'uniform float size;\nattribute float starSize;')
+      .replace('gl_PointSize = size;', 'gl_PointSize = size * starSize;');
+  };
+
+  const stars = new THREE.Points(new THREE.BufferGeometry(), material);
+  stars.name = 'star-catalogue';
+
+  stars.userData.loaded = new THREE.FileLoader().setResponseType('json').loadAsync(CATALOGUE_URL)
+    .then(catalogue => fillCatalogueStars(stars, catalogue.stars, radius))
+    .catch(err => console.warn(`Couldn't load the star catalogue (${CATALOGUE_URL}):`, err));
+
+  return stars;
+}
+
+/**
+ * Builds the star field and constellations from the catalogue rows
+ * @param {THREE.Points} stars The (empty) catalogue stars
+ * @param {Array<Array>} rows [RA (hours), Dec (°), V magnitude, B-V, id?]
+ * @param {number} radius Radius of the sphere the stars sit on
+ */
+function fillCatalogueStars(stars, rows, radius) {
+  const positions = [];
+  const colors = [];
+  const sizes = [];
+  const directions = new Map();
+  const color = new THREE.Color();
+
+  for (const [ra, dec, magnitude, bv, id] of rows) {
+    const direction = raDecToScene(ra, dec, new THREE.Vector3());
+    if (id) directions.set(id, direction);
+    positions.push(direction.x * radius, direction.y * radius, direction.z * radius);
+
+    // Size goes with the square root of the flux, so the area drawn is
+    // proportional to it; below the smallest size the star dims instead
+    const size = POINT_SIZE * 10 ** (-0.2 * (magnitude - REFERENCE_MAGNITUDE));
+    sizes.push(THREE.MathUtils.clamp(size, MIN_POINT_SIZE, MAX_POINT_SIZE));
+    const dimming = Math.min(1, (size / MIN_POINT_SIZE) ** 2);
+    bvToColor(bv ?? DEFAULT_BV, color).multiplyScalar(dimming);
+    colors.push(color.r, color.g, color.b);
+  }
+
+  const { geometry } = stars;
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setAttribute('starSize', new THREE.Float32BufferAttribute(sizes, 1));
+  geometry.computeBoundingSphere();
+
+  const constellations = createConstellations(directions, radius * 0.99);
+  constellations.visible = SHOW_CONSTELLATIONS;
+  stars.add(constellations);
+  stars.userData.constellations = constellations;
+}
+
+/**
+ * Shows or hides the constellations on the toggleConstellations action (N).
+ * Call once a frame, after pollInput.
+ * @param {THREE.Points} stars The star field from createStarField
+ */
+export function updateConstellations(stars) {
+  // The figures only exist once the catalogue has loaded
+  const { constellations } = stars.userData;
+  if (constellations && wasPressed('toggleConstellations')) {
+    constellations.visible = !constellations.visible;
+  }
+}
+
+/**
+ * Creates the constellation figures and their names
+ * @param {Map<string, THREE.Vector3>} directions Star id -> scene direction
+ * @param {number} radius Radius to draw them at, just inside the stars
+ * @returns {THREE.Group} The figures
+ */
+function createConstellations(directions, radius) {
+  const group = new THREE.Group();
+  group.name = 'constellations';
+
+  const positions = [];
+  const centre = new THREE.Vector3();
+  for (const [name, lines] of CONSTELLATIONS) {
+    centre.set(0, 0, 0);
+    for (const [from, to] of lines) {
+      const a = directions.get(from);
+      const b = directions.get(to);
+      if (!a || !b) {
+        console.warn(`${name}: no catalogue star for ${a ? to : from}`);
+        continue;
+      }
+      positions.push(a.x * radius, a.y * radius, a.z * radius, b.x * radius, b.y * radius, b.z * radius);
+      centre.add(a).add(b);
+    }
+    const label = createLabel(name);
+    label.position.copy(centre.normalize()).multiplyScalar(radius);
+    group.add(label);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+    color: 0x4466aa,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false
+  }));
+  group.add(lines);
+
+  return group;
+}
+
+/**
+ * A constellation name that stays the same size on screen
+ * @param {string} text The name
+ * @returns {THREE.Sprite} The label
+ */
+function createLabel(text) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const font = '28px monospace';
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 8;
+  canvas.height = 36;
+
+  // Resizing the canvas resets the context
+  ctx.font = font;
+  ctx.fillStyle = 'rgba(140, 170, 230, 0.8)';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthWrite: false,
+    sizeAttenuation: false
+  }));
+  sprite.scale.set(LABEL_HEIGHT * canvas.width / canvas.height, LABEL_HEIGHT, 1);
+  sprite.name = `${text}-label`;
+  return sprite;
+}
+
+/**
+ * Direction of a star on the sky, in the scene frame
+ * @param {number} ra Right ascension (hours)
+ * @param {number} dec Declination (degrees)
+ * @param {THREE.Vector3} target Vector to write into
+ * @returns {THREE.Vector3} The unit direction
+ */
+function raDecToScene(ra, dec, target) {
+  const a = ra * HOURS;
+  const d = dec * DEG;
+  return equatorialToScene(Math.cos(d) * Math.cos(a), Math.cos(d) * Math.sin(a), Math.sin(d), target);
+}
+
+/**
+ * Colour of a star from its B-V index: the temperature from Ballesteros'
+ * formula, then that temperature's blackbody colour (Tanner Helland's fit to
+ * the CIE tables), brightest channel at 1
+ * @param {number} bv B-V colour index
+ * @param {THREE.Color} target Colour to write into
+ * @returns {THREE.Color} The colour
+ */
+function bvToColor(bv, target) {
+  const kelvin = 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+  const t = kelvin / 100;
+
+  const r = t <= 66 ? 255 : 329.698727446 * (t - 60) ** -0.1332047592;
+  const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * (t - 60) ** -0.0755148492;
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+
+  const clamp = v => THREE.MathUtils.clamp(v, 0, 255) / 255;
+  target.setRGB(clamp(r), clamp(g), clamp(b), THREE.SRGBColorSpace);
+  const peak = Math.max(target.r, target.g, target.b);
+  return target.multiplyScalar(1 / peak);
+}
@@ -10,6 +10,8 @@ import {
   STAR_SIZE_MAX,
   BRIGHT_STARS_PERCENTAGE
 } from './constants.js';
+import { createCatalogueStars } from './starCatalogue.js';
+import { SIMPLEX_NOISE } from './shaders.js';
 
 // Use constants or fallback to defaults
 const FIELD_RADIUS = STAR_FIELD_RADIUS || 500;      // Size of the star field sphere
@@ -17,9 +19,14 @@ const BRIGHT_STARS = BRIGHT_STARS_PERCENTAGE || 0.05;     // Percentage of brigh
 
 /**
  * Creates a star field with varying star sizes and colors
+ * @param {Function} random Seeded random number generator (see random.js)
+ * @param {boolean} catalogue Draw the real stars (see starCatalogue.js)
+ *   rather than random ones
  * @returns {THREE.Points} The star field object
  */
-export function createStarField() {
+export function createStarField(random, catalogue = false) {
+  if (catalogue) return createCatalogueStars(FIELD_RADIUS, createStarTexture());
+
   // Create star geometry with random positions
   const starGeo = new THREE.BufferGeometry();
   const positions = [];
@@ -29,11 +36,11 @@ export function createStarField() {
   // Generate random stars in a sphere (not too close to the scene center)
   for (let i = 0; i < STAR_COUNT; i++) {
     // Create a random point on sphere using spherical coordinates
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
     
     // Ensure stars are not too close to center (avoid cluttering main scene)
-    const radius = FIELD_RADIUS * (0.4 + 0.6 * Math.random());
+    const radius = FIELD_RADIUS * (0.4 + 0.6 * random());
     
     const x = radius * Math.sin(phi) * Math.cos(theta);
     const y = radius * Math.sin(phi) * Math.sin(theta);
@@ -42,30 +49,30 @@ export function createStarField() {
     positions.push(x, y, z);
     
     // Randomize star colors (mostly white with some color variation)
-    const isBright = Math.random() < BRIGHT_STARS;
+    const isBright = random() < BRIGHT_STARS;
     if (isBright) {
       // Some stars have slight color tint
-      const colorOption = Math.random();
+      const colorOption = random();
       if (colorOption < 0.3) {
         // Blueish white
-        colors.push(0.8 + Math.random() * 0.2, 0.8 + Math.random() * 0.2, 1.0);
+        colors.push(0.8 + random() * 0.2, 0.8 + random() * 0.2, 1.0);
       } else if (colorOption < 0.6) {
         // Yellowish white
-        colors.push(1.0, 0.9 + Math.random() * 0.1, 0.7 + Math.random() * 0.3);
+        colors.push(1.0, 0.9 + random() * 0.1, 0.7 + random() * 0.3);
       } else {
         // Reddish white
-        colors.push(1.0, 0.8 + Math.random() * 0.2, 0.8 + Math.random() * 0.2);
+        colors.push(1.0, 0.8 + random() * 0.2, 0.8 + random() * 0.2);
       }
       
       // Bright stars are larger
-      sizes.push(STAR_SIZE_MIN + Math.random() * (STAR_SIZE_MAX - STAR_SIZE_MIN));
+      sizes.push(STAR_SIZE_MIN + random() * (STAR_SIZE_MAX - STAR_SIZE_MIN));
     } else {
       // Regular white/gray stars
-      const brightness = 0.6 + Math.random() * 0.4;
+      const brightness = 0.6 + random() * 0.4;
       colors.push(brightness, brightness, brightness);
       
       // Regular stars have varying but smaller sizes
-      sizes.push(STAR_SIZE_MIN + Math.random() * 0.3);
+      sizes.push(STAR_SIZE_MIN + random() * 0.3);
     }
   }
 
@@ -138,89 +145,23 @@ export function createSpaceBackground() {
     vertexShader: `
       varying vec2 vUv;
       varying vec3 vPosition;
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
       
       void main() {
         vUv = uv;
         vPosition = position;
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #include <logdepthbuf_vertex>
       }
     `,
     fragmentShader: `
       uniform float time;
       varying vec2 vUv;
       varying vec3 vPosition;
+      #include <logdepthbuf_pars_fragment>
       
-      // Simplex noise function
-      vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
-      vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
-      
-      float snoise(vec3 v) {
-        const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-        
-        // First corner
-        vec3 i = floor(v + dot(v, C.yyy));
-        vec3 x0 = v - i + dot(i, C.xxx);
-        
-        // Other corners
-        vec3 g = step(x0.yzx, x0.xyz);
-        vec3 l = 1.0 - g;
-        vec3 i1 = min(g.xyz, l.zxy);
-        vec3 i2 = max(g.xyz, l.zxy);
-        
-        vec3 x1 = x0 - i1 + C.xxx;
-        vec3 x2 = x0 - i2 + C.yyy;
-        vec3 x3 = x0 - D.yyy;
-        
-        // Permutations
-        i = mod289(i);
-        vec4 p = permute(permute(permute(
-                i.z + vec4(0.0, i1.z, i2.z, 1.0))
-                + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-                + i.x + vec4(0.0, i1.x, i2.x, 1.0));
-                
-        // Gradients
-        float n_ = 0.142857142857;
-        vec3 ns = n_ * D.wyz - D.xzx;
-        
-        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-        
-        vec4 x_ = floor(j * ns.z);
-        vec4 y_ = floor(j - 7.0 * x_);
-        
-        vec4 x = x_ * ns.x + ns.yyyy;
-        vec4 y = y_ * ns.x + ns.yyyy;
-        vec4 h = 1.0 - abs(x) - abs(y);
-        
-        vec4 b0 = vec4(x.xy, y.xy);
-        vec4 b1 = vec4(x.zw, y.zw);
-        
-        vec4 s0 = floor(b0) * 2.0 + 1.0;
-        vec4 s1 = floor(b1) * 2.0 + 1.0;
-        vec4 sh = -step(h, vec4(0.0));
-        
-        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
-        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
-        
-        vec3 p0 = vec3(a0.xy, h.x);
-        vec3 p1 = vec3(a0.zw, h.y);
-        vec3 p2 = vec3(a1.xy, h.z);
-        vec3 p3 = vec3(a1.zw, h.w);
-        
-        // Normalise gradients
-        vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
-        p0 *= norm.x;
-        p1 *= norm.y;
-        p2 *= norm.z;
-        p3 *= norm.w;
-        
-        // Mix final noise value
-        vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
-        m = m * m;
-        return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
-      }
+      ${SIMPLEX_NOISE}
       
       void main() {
         // Base deep space color (very dark blue)
@@ -249,6 +190,7 @@ export function createSpaceBackground() {
         vec3 finalColor = baseColor + finalNebulaColor * nebula * 0.1;
         
         gl_FragColor = vec4(finalColor, 1.0);
+        #include <logdepthbuf_fragment>
       }
     `,
     side: THREE.BackSide, // Render on inside of sphere
@@ -0,0 +1,174 @@
+/**
+ * This file contains the Sun's outer layers: the corona around the disc and
+ * the prominences that loop up off the surface now and then, some of them
+ * flaring bright enough to light up the corona.
+ *
+ * Prominences aren't spawned as time goes by but looked up from it: time is
+ * cut into slots of 1 / flareRate days, each slot holds one prominence whose
+ * start, place and shape come from a hash of the slot number. Pausing,
+ * reversing or jumping the clock therefore shows exactly what was (or will
+ * be) there at that moment.
+ */
+
+import * as THREE from 'three';
+import {
+  CORONA_VERTEX_SHADER,
+  CORONA_FRAGMENT_SHADER,
+  PROMINENCE_VERTEX_SHADER,
+  PROMINENCE_FRAGMENT_SHADER
+} from './shaders.js';
+
+const PROMINENCE_POOL = 6;          // most prominences shown at once
+const PROMINENCE_DAYS = 1.5;        // how long one lasts, in simulated days
+const FLARE_CHANCE = 0.3;           // share of prominences that flare
+const DEG = Math.PI / 180;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Scratch objects so the per-frame path doesn't allocate
+const _normal = new THREE.Vector3();
+const _twist = new THREE.Quaternion();
+
+/**
+ * Adds the corona and the prominence loops to the Sun
+ * @param {THREE.Mesh} sunMesh The Sun mesh from createSun; its time and
+ *   speed uniforms drive the animation here too
+ * @param {Object} def The Sun's body definition (corona, flareRate)
+ * @returns {Object} The activity state
+ */
+export function createSolarActivity(sunMesh, def) {
+  const { time, speed } = sunMesh.material.uniforms;
+
+  const activity = {
+    radius: def.radius,
+    rate: def.flareRate !== undefined ? def.flareRate : 0.5,   // prominences per simulated day
+    corona: def.corona ? createCorona(def, time, speed) : null,
+    prominences: []
+  };
+  if (activity.corona) sunMesh.add(activity.corona);
+
+  // One loop geometry for all of them: a half torus standing on the x axis,
+  // one unit across between the footpoints
+  const geometry = new THREE.TorusGeometry(0.5, 0.05, 12, 48, Math.PI);
+  for (let i = 0; i < PROMINENCE_POOL; i++) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        time,
+        speed,
+        seed:       { value: 0.0 },
+        brightness: { value: 0.0 },
+        flash:      { value: 0.0 }
+      },
+      vertexShader: PROMINENCE_VERTEX_SHADER,
+      fragmentShader: PROMINENCE_FRAGMENT_SHADER,
+      blending: THREE.AdditiveBlending,
+      transparent: true,
+      depthWrite: false
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `${def.name}-prominence`;
+    mesh.visible = false;
+    sunMesh.add(mesh);
+    activity.prominences.push(mesh);
+  }
+
+  return activity;
+}
+
+/**
+ * Shows the prominences that are up on a date and sets the corona's glow
+ * @param {Object} activity The state from createSolarActivity
+ * @param {number} days Days since J2000
+ */
+export function updateSolarActivity(activity, days) {
+  const { rate, prominences } = activity;
+  let shown = 0;
+  let flares = 0;
+
+  if (rate > 0) {
+    // Newest slot first, back to the oldest that could still be showing
+    const first = Math.floor((days - PROMINENCE_DAYS) * rate);
+    for (let slot = Math.floor(days * rate); slot >= first && shown < prominences.length; slot--) {
+      const age = (days - (slot + hash(slot, 0)) / rate) / PROMINENCE_DAYS;
+      if (age < 0 || age >= 1) continue;
+      flares += placeProminence(prominences[shown++], slot, age, activity.radius);
+    }
+  }
+  for (let i = shown; i < prominences.length; i++) prominences[i].visible = false;
+
+  if (activity.corona) activity.corona.material.uniforms.activity.value = flares;
+}
+
+/**
+ * Creates the corona: a quad that always faces the camera (see
+ * CORONA_VERTEX_SHADER)
+ * @param {Object} def The Sun's body definition; `corona` is how far out it
+ *   reaches, in solar radii
+ * @param {Object} time The Sun's time uniform
+ * @param {Object} speed The Sun's speed uniform
+ * @returns {THREE.Mesh} The corona, to be added under the Sun mesh
+ */
+function createCorona(def, time, speed) {
+  const size = 2 * def.corona * def.radius;
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      time,
+      speed,
+      bodyRadius: { value: def.radius },
+      extent:     { value: def.corona },
+      intensity:  { value: 1.2 },
+      activity:   { value: 0.0 }
+    },
+    vertexShader: CORONA_VERTEX_SHADER,
+    fragmentShader: CORONA_FRAGMENT_SHADER,
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const corona = new THREE.Mesh(new THREE.PlaneGeometry(size, size), material);
+  corona.name = `${def.name}-corona`;
+  return corona;
+}
+
+/**
+ * Stands a prominence on the surface for its slot and age. Like sunspots,
+ * they keep to the active latitudes either side of the equator.
+ * @param {THREE.Mesh} mesh A prominence from the pool
+ * @param {number} slot The slot it belongs to
+ * @param {number} age How far through its life it is (0 to 1)
+ * @param {number} radius The Sun's radius in its own units
+ * @returns {number} How brightly it's flaring (0 if it isn't)
+ */
+function placeProminence(mesh, slot, age, radius) {
+  const lat = (5 + 30 * hash(slot, 1)) * (hash(slot, 2) < 0.5 ? -1 : 1) * DEG;
+  const lon = 360 * hash(slot, 3) * DEG;
+  _normal.set(Math.cos(lat) * Math.cos(lon), Math.sin(lat), -Math.cos(lat) * Math.sin(lon));
+
+  mesh.position.copy(_normal).multiplyScalar(radius * 0.995);
+  mesh.quaternion.setFromUnitVectors(UP, _normal)
+    .multiply(_twist.setFromAxisAngle(UP, 2 * Math.PI * hash(slot, 4)));
+
+  // Rises out of the surface, then hangs there until it fades
+  const span = radius * (0.12 + 0.25 * hash(slot, 5));
+  const rise = THREE.MathUtils.smoothstep(age, 0, 0.35);
+  mesh.scale.set(span, span * (0.6 + 1.2 * hash(slot, 6)) * (0.2 + 0.8 * rise), span);
+
+  const flash = hash(slot, 7) < FLARE_CHANCE ? Math.exp(-10 * age) : 0;
+  const { uniforms } = mesh.material;
+  uniforms.seed.value = 100 * hash(slot, 8);
+  uniforms.brightness.value = THREE.MathUtils.smoothstep(age, 0, 0.1) * (1 - THREE.MathUtils.smoothstep(age, 0.55, 1));
+  uniforms.flash.value = flash;
+  mesh.visible = true;
+  return flash;
+}
+
+/**
+ * Repeatable pseudo-random number for a slot
+ * @param {number} slot Slot number
+ * @param {number} salt Which of the slot's numbers this is
+ * @returns {number} A number in [0, 1)
+ */
+function hash(slot, salt) {
+  const x = Math.sin(slot * 12.9898 + salt * 78.233) * 43758.5453;
+  return x - Math.floor(x);
+}
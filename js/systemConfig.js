@@ -0,0 +1,319 @@
+/* This file contains the declarative description of our solar system.
+ * Every body lists its parent, size, orbit, mass and look; celestialBodies.js
+ * turns this into the actual scene hierarchy. Orbit sizes and planet radii
+ * are compressed so the whole system fits inside the star field; the shape
+ * and tilt of each orbit use the real J2000 elements, and bodies with an
+ * ephemeris follow the real body on the simulated date (see ephemeris.js). */
+
+import {
+  SOLAR_MASS,
+  EARTH_MASS,
+  ORBIT_RADIUS,
+  MOON_SCALE,
+  MOON_ORBIT_RADIUS,
+  KM_PER_AU
+} from './constants.js';
+
+/**
+ * Body definition fields:
+ *   name           unique id, also used as `parent` by children
+ *   label          display name
+ *   description    one-line blurb for the info panel
+ *   parent         name of the body this one orbits (omitted for the root)
+ *   type           'star' | 'planet' | 'moon'
+ *   radius         sphere radius in scene units
+ *   trueRadius     real mean radius in km, used by the true-scale layout
+ *   mass           mass in scene mass units (see constants.js); drives both
+ *                  the grid dip and, in gravity mode, the pull
+ *   orbit          Keplerian elements relative to the parent (angles in degrees):
+ *                    semiMajorAxis (scene units), eccentricity, inclination,
+ *                    longitudeOfAscendingNode, argumentOfPeriapsis,
+ *                    meanAnomalyAtEpoch, plus trueSemiMajorAxis (km) for
+ *                    the true-scale layout
+ *   ephemeris      name in ephemeris.js; when set, the body sits where the real
+ *                  one is on the simulated date (at the orbit's scene size)
+ *                  and moves at its real pace, instead of following `orbit`
+ *   rotation       IAU rotation elements: poleRA and poleDec (degrees, J2000
+ *                  equatorial; the north pole), primeMeridian (W at J2000,
+ *                  degrees) and siderealDay (hours, negative for retrograde).
+ *                  Optional nodeTerm adds the leading periodic term driven by
+ *                  the orbit's node (node and rate in degrees and degrees
+ *                  per day; ra, dec and meridian amplitudes in degrees).
+ *                  The Moon's tidal lock is just its real rotation.
+ *   showOrbit      draw the orbit line
+ *   texture        colour map (falls back to `color` when omitted)
+ *   bumpMap        topography map used for bump mapping
+ *   material       'phong' (default), 'lambert' or 'earth' for the Earth shader,
+ *                  which also takes waterNormalMap, nightMap and cloudMap
+ *                  (all optional; it falls back to procedural layers) and
+ *                  cloudSpeed
+ *   atmosphere     thickness of a scattering shell, as a fraction of the radius
+ *   rings          inner and outer radius (body radii), color, opacity, and
+ *                  optionally a radial strip texture (colour, alpha = density)
+ *                  and gaps ([start, end] pairs in body radii); without a
+ *                  texture the ringlets are procedural
+ *   belt           a belt of small bodies orbiting this one: inner and outer
+ *                  radius (scene units) and trueInner/trueOuter (km), gaps
+ *                  (true radii, km, cleared by resonances), thickness (the
+ *                  largest inclination, degrees), count, size and trueSize
+ *                  (a typical rock's radius), and color
+ *   corona         (stars) how far the corona reaches, in radii
+ *   flareRate      (stars) prominences per simulated day; 0 turns them off
+ */
+export const DEFAULT_SYSTEM = [
+  {
+    name: 'sun',
+    label: 'Sun',
+    description: 'G-type main-sequence star holding 99.8% of the mass in the system.',
+    type: 'star',
+    radius: 32,
+    trueRadius: 695700,
+    mass: SOLAR_MASS,
+    rotation: { poleRA: 286.13, poleDec: 63.87, primeMeridian: 84.176, siderealDay: 609.119878 },
+    corona: 4,
+    flareRate: 0.5,
+    belt: {
+      inner: 515,
+      outer: 548,
+      trueInner: 2.1 * KM_PER_AU,
+      trueOuter: 3.3 * KM_PER_AU,
+      gaps: [2.50, 2.82, 2.95].map(au => au * KM_PER_AU),   // the 3:1, 5:2 and 7:3 Kirkwood gaps
+      thickness: 8,
+      size: 0.35,
+      trueSize: 50,
+      color: 0x8a8176
+    }
+  },
+  {
+    name: 'mercury',
+    label: 'Mercury',
+    description: 'Smallest planet; its orbit is the most eccentric of the eight.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 1.5,
+    trueRadius: 2439.7,
+    mass: EARTH_MASS * 0.0553,
+    orbit: {
+      semiMajorAxis: 180,
+      trueSemiMajorAxis: 0.387098 * KM_PER_AU,
+      eccentricity: 0.2056,
+      inclination: 7.005,
+      longitudeOfAscendingNode: 48.331,
+      argumentOfPeriapsis: 29.124,
+      meanAnomalyAtEpoch: 174.793
+    },
+    ephemeris: 'mercury',
+    rotation: { poleRA: 281.0103, poleDec: 61.4155, primeMeridian: 329.5988, siderealDay: 1407.5075 },
+    showOrbit: true,
+    color: 0x9a8f87
+  },
+  {
+    name: 'venus',
+    label: 'Venus',
+    description: 'Hottest planet, spinning slowly backwards under thick clouds.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 3.8,
+    trueRadius: 6051.8,
+    mass: EARTH_MASS * 0.815,
+    orbit: {
+      semiMajorAxis: 290,
+      trueSemiMajorAxis: 0.723332 * KM_PER_AU,
+      eccentricity: 0.0068,
+      inclination: 3.395,
+      longitudeOfAscendingNode: 76.680,
+      argumentOfPeriapsis: 54.884,
+      meanAnomalyAtEpoch: 50.416
+    },
+    ephemeris: 'venus',
+    rotation: { poleRA: 272.76, poleDec: 67.16, primeMeridian: 160.20, siderealDay: -5832.44362 },
+    showOrbit: true,
+    color: 0xe3c48e
+  },
+  {
+    name: 'earth',
+    label: 'Earth',
+    description: 'Home. The only world known to host life.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 4.0,
+    trueRadius: 6371.0,
+    mass: EARTH_MASS,
+    orbit: {
+      semiMajorAxis: ORBIT_RADIUS,
+      trueSemiMajorAxis: 1.000001 * KM_PER_AU,
+      eccentricity: 0.0167,
+      inclination: 0,
+      longitudeOfAscendingNode: 0,
+      argumentOfPeriapsis: 102.937,
+      meanAnomalyAtEpoch: 357.529
+    },
+    ephemeris: 'earth',
+    rotation: { poleRA: 0, poleDec: 90, primeMeridian: 190.147, siderealDay: 23.9344712 },
+    showOrbit: true,
+    texture: 'earth-day.jpg',
+    bumpMap: 'earth-topography.jpg',
+    bumpScale: 0.05,           // how "bumpy" the topography looks
+    waterNormalMap: 'water-normal.jpg',
+    // No night-lights or cloud maps are bundled, so those layers are
+    // procedural; drop images into public/ and name them with nightMap and
+    // cloudMap to use them instead
+    atmosphere: 0.04,
+    material: 'earth'
+  },
+  {
+    name: 'moon',
+    label: 'Moon',
+    description: 'Tidally locked, so the same face always points at Earth.',
+    parent: 'earth',
+    type: 'moon',
+    radius: 4.0 * MOON_SCALE,
+    trueRadius: 1737.4,
+    mass: EARTH_MASS * 0.0123,
+    orbit: {
+      semiMajorAxis: MOON_ORBIT_RADIUS,
+      trueSemiMajorAxis: 384399,
+      eccentricity: 0.0549,
+      inclination: 5.145,
+      longitudeOfAscendingNode: 125.08,
+      argumentOfPeriapsis: 318.15,
+      meanAnomalyAtEpoch: 135.27
+    },
+    ephemeris: 'moon',
+    rotation: {
+      poleRA: 269.9949,
+      poleDec: 66.5392,
+      primeMeridian: 38.3213,
+      siderealDay: 655.719881,
+      // The pole circles the ecliptic pole as the orbit's node regresses
+      nodeTerm: { node: 125.045, rate: -0.0529921, ra: -3.8787, dec: 1.5419, meridian: 3.5610 }
+    },
+    texture: 'moon-map.jpg',
+    bumpMap: 'moon-topography.jpg',
+    bumpScale: 0.02,           // tweak until craters look right
+    material: 'lambert'
+  },
+  {
+    name: 'mars',
+    label: 'Mars',
+    description: 'Cold desert world with the tallest volcano in the system.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 2.1,
+    trueRadius: 3389.5,
+    mass: EARTH_MASS * 0.107,
+    orbit: {
+      semiMajorAxis: 500,
+      trueSemiMajorAxis: 1.523679 * KM_PER_AU,
+      eccentricity: 0.0934,
+      inclination: 1.850,
+      longitudeOfAscendingNode: 49.560,
+      argumentOfPeriapsis: 286.502,
+      meanAnomalyAtEpoch: 19.390
+    },
+    ephemeris: 'mars',
+    rotation: { poleRA: 317.6814, poleDec: 52.8865, primeMeridian: 176.630, siderealDay: 24.6229622 },
+    showOrbit: true,
+    color: 0xb5532f
+  },
+  {
+    name: 'jupiter',
+    label: 'Jupiter',
+    description: 'Gas giant more than twice as massive as all other planets combined.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 12,
+    trueRadius: 69911,
+    mass: EARTH_MASS * 317.8,
+    orbit: {
+      semiMajorAxis: 580,
+      trueSemiMajorAxis: 5.2044 * KM_PER_AU,
+      eccentricity: 0.0484,
+      inclination: 1.304,
+      longitudeOfAscendingNode: 100.474,
+      argumentOfPeriapsis: 274.254,
+      meanAnomalyAtEpoch: 19.668
+    },
+    ephemeris: 'jupiter',
+    rotation: { poleRA: 268.0566, poleDec: 64.4953, primeMeridian: 284.95, siderealDay: 9.92491982 },
+    showOrbit: true,
+    color: 0xc9a27a
+  },
+  {
+    name: 'saturn',
+    label: 'Saturn',
+    description: 'Gas giant less dense than water, famous for its rings.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 10,
+    trueRadius: 58232,
+    mass: EARTH_MASS * 95.2,
+    orbit: {
+      semiMajorAxis: 650,
+      trueSemiMajorAxis: 9.5826 * KM_PER_AU,
+      eccentricity: 0.0539,
+      inclination: 2.486,
+      longitudeOfAscendingNode: 113.662,
+      argumentOfPeriapsis: 338.937,
+      meanAnomalyAtEpoch: 317.355
+    },
+    ephemeris: 'saturn',
+    rotation: { poleRA: 40.589, poleDec: 83.537, primeMeridian: 38.90, siderealDay: 10.6562222 },
+    rings: {
+      inner: 1.24,
+      outer: 2.27,
+      color: 0xd8c8a4,
+      opacity: 0.9,
+      gaps: [[1.95, 2.03], [2.212, 2.217]]    // the Cassini division and the Encke gap
+    },
+    showOrbit: true,
+    color: 0xdcc48f
+  },
+  {
+    name: 'uranus',
+    label: 'Uranus',
+    description: 'Ice giant that rolls around the Sun on its side.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 7,
+    trueRadius: 25362,
+    mass: EARTH_MASS * 14.5,
+    orbit: {
+      semiMajorAxis: 720,
+      trueSemiMajorAxis: 19.2184 * KM_PER_AU,
+      eccentricity: 0.0473,
+      inclination: 0.773,
+      longitudeOfAscendingNode: 74.017,
+      argumentOfPeriapsis: 96.937,
+      meanAnomalyAtEpoch: 142.284
+    },
+    ephemeris: 'uranus',
+    rotation: { poleRA: 257.311, poleDec: -15.175, primeMeridian: 203.81, siderealDay: -17.24 },
+    rings: { inner: 1.64, outer: 2.0, color: 0x8a8f96, opacity: 0.3 },
+    showOrbit: true,
+    color: 0x9fd8e0
+  },
+  {
+    name: 'neptune',
+    label: 'Neptune',
+    description: 'Windiest planet, found by mathematics before it was seen.',
+    parent: 'sun',
+    type: 'planet',
+    radius: 6.8,
+    trueRadius: 24622,
+    mass: EARTH_MASS * 17.1,
+    orbit: {
+      semiMajorAxis: 775,
+      trueSemiMajorAxis: 30.110387 * KM_PER_AU,
+      eccentricity: 0.0086,
+      inclination: 1.770,
+      longitudeOfAscendingNode: 131.784,
+      argumentOfPeriapsis: 273.181,
+      meanAnomalyAtEpoch: 259.915
+    },
+    ephemeris: 'neptune',
+    rotation: { poleRA: 299.36, poleDec: 43.46, primeMeridian: 249.978, siderealDay: 15.9663 },
+    showOrbit: true,
+    color: 0x4a6fd8
+  }
+];
@@ -1,146 +1,355 @@
 /**
- *  This file contains all of the logic for creating and moving the X-Wing.
+ *  This file contains all of the logic for creating and moving the X-Wing
+ *  (or whichever ship from ships.js is selected).
+ *
+ *  Two flight models are available: 'arcade' keeps the ship on the y=0 plane
+ *  with heading-relative WASD and yaw only (the original handling), and
+ *  '6dof' gives full pitch/roll/yaw with strafe and vertical thrust in the
+ *  ship's own frame. Flight assist either kills drift or leaves the ship to
+ *  Newtonian inertia.
  */
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { ORBIT_RADIUS, MOVE_SPEED } from './constants.js';
+import { ORBIT_RADIUS } from './constants.js';
+import { stepShip } from './gravity.js';
+import { getAction, wasPressed } from './input.js';
+import { SHIPS, DEFAULT_SHIP } from './ships.js';
 
-// Control keys state object, now including q/e for yaw
-export const keys = { w: false, a: false, s: false, d: false, q: false, e: false };
+export const FLIGHT_MODELS = ['arcade', '6dof'];
+
+// Current flight model and assist setting. speedScale multiplies thrust
+// and top speed; the layout scale raises it far from bodies at true scale.
+export const flight = { model: 'arcade', assist: true, speedScale: 1 };
 
 let heading = Math.PI;               // no initial yaw flip
 
-// Yaw turn speed in radians per second
-const TURN_SPEED = Math.PI * 0.5; // adjust as needed
+// The ship currently flown; turn/pitch/roll speeds, acceleration and top
+// speed come from its handling (see ships.js)
+let activeShip = SHIPS[DEFAULT_SHIP];
+
+const ANGULAR_RESPONSE = 4;          // how quickly rotation rates follow input
 
 // Space physics parameters
-const ACCELERATION = MOVE_SPEED * 2; // Acceleration rate (units/s²)
-const MAX_VELOCITY = MOVE_SPEED;     // Maximum velocity (units/s)
 const DAMPENING = 0.01;              // Natural dampening factor (lower = more inertia)
+export const BOOST_FACTOR = 3;       // Acceleration/top speed multiplier while boosting
 
 // Current velocity vector
 const velocity = new THREE.Vector3(0, 0, 0);
 
+// Current 6-DOF rotation rates (pitch, yaw, roll) in the ship frame
+const angularVelocity = new THREE.Vector3();
+
+// Scratch objects so the per-frame path doesn't allocate
+const thrustAccel = new THREE.Vector3();
+const thrustDir = new THREE.Vector3();
+const targetRates = new THREE.Vector3();
+const camFwd = new THREE.Vector3();
+const camRight = new THREE.Vector3();
+const spinEuler = new THREE.Euler();
+const spinQuat = new THREE.Quaternion();
+const yawQuat = new THREE.Quaternion();
+const rollQuat = new THREE.Quaternion();
+const faceMatrix = new THREE.Matrix4();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const ORIGIN = new THREE.Vector3();
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+const gltfLoader = new GLTFLoader();
+const modelCache = {};               // ship id -> Promise of a prepared model
+
 /**
- * Loads the X-Wing model
- * @param {THREE.Scene} scene The scene to add the X-Wing to
- * @returns {Promise<THREE.Object3D>} Promise that resolves to the X-Wing object
+ * Creates the object the player flies. The ship model is swapped in and
+ * out underneath it, so position and velocity survive a ship change.
+ * @param {THREE.Scene} scene The scene to add the ship to
+ * @returns {THREE.Object3D} The player ship
  */
-export function loadXWing(scene) {
-  return new Promise((resolve, reject) => {
-    const gltfLoader = new GLTFLoader();
-    gltfLoader.load(
-      'x-wing/scene.gltf',
-      gltf => {
-        const xWing = gltf.scene;
-        xWing.scale.set(0.5, 0.5, 0.5);
-        xWing.position.set(0, 0, ORBIT_RADIUS);
-        
-        scene.add(xWing);
-        resolve(xWing);
-      },
-      undefined,
-      err => reject(err)
-    );
-  });
+export function createPlayerShip(scene) {
+  const xWing = new THREE.Object3D();
+  xWing.position.set(0, 0, ORBIT_RADIUS);
+  scene.add(xWing);
+  return xWing;
 }
 
 /**
- * Set up keyboard event listeners for X-Wing controls
+ * Switches the player ship to another entry from the ship registry
+ * @param {THREE.Object3D} xWing The player ship
+ * @param {string} shipId Key into SHIPS
+ * @returns {Promise<void>} Resolves once the new model is in place
  */
-export function setupXWingControls() {
-  window.addEventListener('keydown', e => {
-    if (e.code === 'KeyW') keys.w = true;
-    if (e.code === 'KeyA') keys.a = true;
-    if (e.code === 'KeyS') keys.s = true;
-    if (e.code === 'KeyD') keys.d = true;
-    if (e.code === 'KeyQ') keys.q = true;
-    if (e.code === 'KeyE') keys.e = true;
-  });
-  
-  window.addEventListener('keyup', e => {
-    if (e.code === 'KeyW') keys.w = false;
-    if (e.code === 'KeyA') keys.a = false;
-    if (e.code === 'KeyS') keys.s = false;
-    if (e.code === 'KeyD') keys.d = false;
-    if (e.code === 'KeyQ') keys.q = false;
-    if (e.code === 'KeyE') keys.e = false;
+export function selectShip(xWing, shipId) {
+  const def = SHIPS[shipId];
+  if (!def) return Promise.reject(new Error(`Unknown ship "${shipId}"`));
+
+  return loadShipModel(shipId).then(model => {
+    xWing.clear();
+    xWing.add(model);
+    xWing.userData.shipId = shipId;
+    activeShip = def;
   });
 }
 
 /**
- * Updates the X-Wing position and orientation based on controls,
- * and moves the camera to follow behind.
+ * Loads (once) and prepares a ship model: scale and orientation correction
+ * are applied to a wrapper so the flight code only ever rotates the parent
+ * @param {string} shipId Key into SHIPS
+ * @returns {Promise<THREE.Object3D>} Promise that resolves to the wrapped model
+ */
+function loadShipModel(shipId) {
+  if (!modelCache[shipId]) {
+    const def = SHIPS[shipId];
+    modelCache[shipId] = new Promise((resolve, reject) => {
+      gltfLoader.load(
+        def.model,
+        gltf => {
+          const model = gltf.scene;
+          model.rotation.fromArray(def.rotation);
+
+          let scale = def.scale || 1;
+          if (def.fitSize) {
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            scale = def.fitSize / Math.max(size.x, size.y, size.z);
+          }
+          model.scale.setScalar(scale);
+
+          const wrapper = new THREE.Object3D();
+          wrapper.add(model);
+          resolve(wrapper);
+        },
+        undefined,
+        err => reject(err)
+      );
+    });
+
+    // Let a failed load be retried
+    modelCache[shipId].catch(() => delete modelCache[shipId]);
+  }
+  return modelCache[shipId];
+}
+
+/**
+ * Updates the X-Wing position and orientation based on controls.
+ * The camera follows separately (see cameraManager.js).
  * @param {THREE.Object3D} xWing The X-Wing model
- * @param {THREE.Camera} camera The camera to move
  * @param {number} delta Time delta since last frame
+ * @param {Object} [gravity] Gravity state; when its mode isn't 'off' the ship
+ *   is integrated under gravity
+ * @param {Object} [command] Autopilot command that replaces manual input:
+ *   world-space `thrust` (length = throttle), `face` direction, `boost`
+ *   flag, and `hold` when the autopilot is moving the ship itself
  */
-export function updateXWing(xWing, camera, delta) {
+export function updateXWing(xWing, delta, gravity, command) {
   if (!xWing) return;
 
-  // Update heading based on q/e (yaw control)
-  if (keys.q) heading += TURN_SPEED * delta;
-  if (keys.e) heading -= TURN_SPEED * delta;
+  if (command) {
+    flyCommand(xWing, command, delta, gravity);
+    return;
+  }
+
+  if (wasPressed('toggleFlightModel')) {
+    const next = (FLIGHT_MODELS.indexOf(flight.model) + 1) % FLIGHT_MODELS.length;
+    flight.model = FLIGHT_MODELS[next];
+  }
+  if (wasPressed('toggleFlightAssist')) flight.assist = !flight.assist;
 
-  // Get camera-relative forward and right vectors
-  const camFwd = new THREE.Vector3();
-  camera.getWorldDirection(camFwd);
+  const boost = 1 + (BOOST_FACTOR - 1) * getAction('boost');
+
+  if (flight.model === '6dof') {
+    update6Dof(xWing, delta, gravity, boost);
+  } else {
+    updateArcade(xWing, delta, gravity, boost);
+  }
+}
+
+/**
+ * The ship's current velocity (units per real second). The returned vector
+ * is live; the autopilot writes to it while holding station.
+ * @returns {THREE.Vector3} The velocity
+ */
+export function getShipVelocity() {
+  return velocity;
+}
+
+/**
+ * Puts the ship back at a position, at rest and facing its starting heading
+ * @param {THREE.Object3D} xWing The player ship
+ * @param {THREE.Vector3} position Where to put it
+ */
+export function resetShip(xWing, position) {
+  xWing.position.copy(position);
+  velocity.set(0, 0, 0);
+  angularVelocity.set(0, 0, 0);
+  heading = Math.PI;
+  xWing.quaternion.setFromAxisAngle(WORLD_UP, heading);
+}
+
+/**
+ * The registry entry of the ship being flown
+ * @returns {Object} Ship definition from ships.js
+ */
+export function getActiveShip() {
+  return activeShip;
+}
+
+/**
+ * Plane-locked arcade handling: heading-relative WASD, Q/E yaw and a
+ * cosmetic roll into turns
+ * @param {THREE.Object3D} xWing The X-Wing model
+ * @param {number} delta Time delta since last frame
+ * @param {Object} [gravity] Gravity state
+ * @param {number} boost Boost multiplier
+ */
+function updateArcade(xWing, delta, gravity, boost) {
+  // Update heading from the yaw actions
+  heading += (getAction('yawLeft') - getAction('yawRight')) * activeShip.handling.turnSpeed * delta;
+
+  // Get the ship's flattened forward and right vectors (what the chase
+  // camera looks along)
+  camFwd.copy(AXIS_Z).applyQuaternion(xWing.quaternion);
   camFwd.y = 0;
   camFwd.normalize();
 
-  const camRight = new THREE.Vector3();
-  camRight.crossVectors(camFwd, new THREE.Vector3(0, 1, 0));
+  camRight.crossVectors(camFwd, WORLD_UP);
   camRight.normalize();
 
-  // Build thrust vector from WASD
-  const thrustDir = new THREE.Vector3();
-  if (keys.w) thrustDir.add(camFwd);
-  if (keys.s) thrustDir.sub(camFwd);
-  if (keys.a) thrustDir.sub(camRight);
-  if (keys.d) thrustDir.add(camRight);
-
-  // Apply thrust and dampening
-  if (thrustDir.lengthSq() > 0) {
-    thrustDir.normalize();
-    velocity.addScaledVector(thrustDir, ACCELERATION * delta);
-    if (velocity.length() > MAX_VELOCITY) {
-      velocity.normalize().multiplyScalar(MAX_VELOCITY);
-    }
-  } else {
-    velocity.multiplyScalar(1 - DAMPENING);
-  }
+  // Build thrust vector from the thrust/strafe actions
+  thrustDir.set(0, 0, 0)
+    .addScaledVector(camFwd, getAction('thrustForward') - getAction('thrustBack'))
+    .addScaledVector(camRight, getAction('strafeRight') - getAction('strafeLeft'));
+
+  applyThrust(xWing, thrustDir, delta, gravity, boost);
   
-  // Move X-Wing and constrain to y=0 plane
-  xWing.position.addScaledVector(velocity, delta);
+  // Constrain X-Wing to y=0 plane
   xWing.position.y = 0;
   velocity.y = 0;
 
   // Compute yaw quaternion based on heading
-  const yawQuat = new THREE.Quaternion().setFromAxisAngle(
-    new THREE.Vector3(0, 1, 0),
-    heading
-  );
+  yawQuat.setFromAxisAngle(WORLD_UP, heading);
 
   // Determine target orientation including roll tilt
-  let targetQuat;
   if (velocity.lengthSq() > 0.1) {
     const rollAngle = velocity.dot(camRight) * 0.1;
-    const rollQuat = new THREE.Quaternion().setFromAxisAngle(
-      new THREE.Vector3(0, 0, 1),
-      rollAngle
-    );
-    targetQuat = yawQuat.clone().multiply(rollQuat);
-  } else {
-    targetQuat = yawQuat.clone();
+    rollQuat.setFromAxisAngle(AXIS_Z, rollAngle);
+    yawQuat.multiply(rollQuat);
   }
 
   // Smoothly interpolate to target orientation
-  xWing.quaternion.slerp(targetQuat, 5 * delta);
+  xWing.quaternion.slerp(yawQuat, 5 * delta);
+}
+
+/**
+ * Six-degrees-of-freedom handling in the ship's own frame
+ * @param {THREE.Object3D} xWing The X-Wing model
+ * @param {number} delta Time delta since last frame
+ * @param {Object} [gravity] Gravity state
+ * @param {number} boost Boost multiplier
+ */
+function update6Dof(xWing, delta, gravity, boost) {
+  // Ease the rotation rates toward what the sticks ask for
+  targetRates.set(
+    (getAction('pitchUp') - getAction('pitchDown')) * activeShip.handling.pitchSpeed,
+    (getAction('yawLeft') - getAction('yawRight')) * activeShip.handling.turnSpeed,
+    (getAction('rollRight') - getAction('rollLeft')) * activeShip.handling.rollSpeed
+  );
+  angularVelocity.lerp(targetRates, Math.min(1, ANGULAR_RESPONSE * delta));
+
+  // Rotate about the ship's local axes
+  spinEuler.set(
+    -angularVelocity.x * delta,
+    angularVelocity.y * delta,
+    angularVelocity.z * delta
+  );
+  spinQuat.setFromEuler(spinEuler);
+  xWing.quaternion.multiply(spinQuat).normalize();
+
+  // Thrust in the ship frame (forward is +z, right is -x)
+  thrustDir.set(
+    getAction('strafeLeft') - getAction('strafeRight'),
+    getAction('thrustUp') - getAction('thrustDown'),
+    getAction('thrustForward') - getAction('thrustBack')
+  ).applyQuaternion(xWing.quaternion);
+
+  applyThrust(xWing, thrustDir, delta, gravity, boost);
 
-  // Position camera behind and above relative to X-Wing orientation
-  const offsetLocal = new THREE.Vector3(0, 4, -10);
-  const offsetWorld = offsetLocal.applyQuaternion(xWing.quaternion);
-  camera.position.copy(xWing.position).add(offsetWorld);
-  camera.lookAt(xWing.position);
+  // Keep the arcade heading in sync so switching back doesn't snap
+  camFwd.copy(AXIS_Z).applyQuaternion(xWing.quaternion);
+  heading = Math.atan2(camFwd.x, camFwd.z);
+}
+
+/**
+ * Flies an autopilot command: turn toward `face`, thrust along `thrust`
+ * @param {THREE.Object3D} xWing The X-Wing model
+ * @param {Object} command The autopilot command
+ * @param {number} delta Time delta since last frame
+ * @param {Object} [gravity] Gravity state
+ */
+function flyCommand(xWing, command, delta, gravity) {
+  if (command.hold) return;
+
+  const boost = command.boost ? BOOST_FACTOR : 1;
+  applyThrust(xWing, thrustDir.copy(command.thrust), delta, gravity, boost);
+
+  if (flight.model === 'arcade') {
+    xWing.position.y = 0;
+    velocity.y = 0;
+    heading = Math.atan2(command.face.x, command.face.z);
+    yawQuat.setFromAxisAngle(WORLD_UP, heading);
+  } else {
+    // Matrix4.lookAt points +z from the target toward the eye
+    faceMatrix.lookAt(command.face, ORIGIN, WORLD_UP);
+    yawQuat.setFromRotationMatrix(faceMatrix);
+  }
+  xWing.quaternion.slerp(yawQuat, Math.min(1, 3 * delta));
+}
+
+/**
+ * Applies thrust, flight assist and (optionally) gravity, then moves the ship
+ * @param {THREE.Object3D} xWing The X-Wing model
+ * @param {THREE.Vector3} dir Thrust direction (world space); its length up
+ *   to 1 is the throttle, so analog input gives partial thrust
+ * @param {number} delta Time delta since last frame
+ * @param {Object} [gravity] Gravity state
+ * @param {number} boost Boost multiplier
+ */
+function applyThrust(xWing, dir, delta, gravity, boost) {
+  const throttle = Math.min(1, dir.length());
+  const { maxVelocity: topSpeed, acceleration: thrustPower } = activeShip.handling;
+  const maxVelocity = topSpeed * boost * flight.speedScale;
+  const acceleration = thrustPower * boost * throttle * flight.speedScale;
+  const thrusting = throttle > 0;
+  if (thrusting) dir.normalize();
+
+  if (gravity && gravity.mode !== 'off') {
+    // Thrust only adds speed up to the limit along its direction;
+    // gravity itself is free to fling us faster
+    thrustAccel.set(0, 0, 0);
+    if (thrusting && velocity.dot(dir) < maxVelocity) {
+      thrustAccel.copy(dir).multiplyScalar(acceleration);
+    }
+    stepShip(gravity, xWing.position, velocity, thrustAccel, delta);
+  } else {
+    if (thrusting) {
+      if (flight.assist) {
+        velocity.addScaledVector(dir, acceleration * delta);
+        if (velocity.length() > maxVelocity) {
+          velocity.normalize().multiplyScalar(maxVelocity);
+        }
+      } else if (velocity.dot(dir) < maxVelocity) {
+        velocity.addScaledVector(dir, acceleration * delta);
+      }
+    }
+    xWing.position.addScaledVector(velocity, delta);
+  }
+
+  // Flight assist bleeds off drift whenever we're not thrusting
+  if (!thrusting && flight.assist) {
+    velocity.multiplyScalar(1 - DAMPENING);
+  }
+
+  // When the speed scale drops (closing on a body at true scale), assist
+  // sheds the excess instead of letting us coast in at cruise speed
+  const scaledLimit = topSpeed * BOOST_FACTOR * flight.speedScale;
+  if (flight.assist && flight.speedScale > 1 && velocity.length() > scaledLimit) {
+    velocity.setLength(scaledLimit);
+  }
 }
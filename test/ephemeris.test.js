@@ -0,0 +1,119 @@
+/**
+ * Checks the offline ephemeris against published positions, to within the
+ * accuracy ephemeris.js claims: a few arcminutes for the planets (JPL's
+ * approximate elements) and about 0.3° for the Moon (the Almanac's
+ * low-precision series).
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { J2000, eclipticPosition, julianDate } from '../js/ephemeris.js';
+
+const PLANET_TOLERANCE = 0.05;    // degrees (3')
+const MOON_TOLERANCE = 0.3;       // degrees
+const AU_TOLERANCE = 0.001;       // AU; 'earth' is the Earth-Moon barycentre, 3e-5 AU off
+const MOON_DISTANCE_TOLERANCE = 1000; // km
+const AU_KM = 149597870.7;
+const PRECESSION = 1.3970;        // general precession in longitude (°/century), to refer dates to J2000
+
+/**
+ * Ecliptic longitude, latitude and distance of a position
+ * @param {{x: number, y: number, z: number}} p Ecliptic position
+ * @returns {{lon: number, lat: number, dist: number}} Angles in degrees
+ */
+function spherical({ x, y, z }) {
+  const dist = Math.hypot(x, y, z);
+  return {
+    lon: (Math.atan2(y, x) * 180 / Math.PI + 360) % 360,
+    lat: Math.asin(z / dist) * 180 / Math.PI,
+    dist
+  };
+}
+
+/**
+ * Asserts two angles agree to within a tolerance, across the 0/360 wrap
+ * @param {number} actual Degrees
+ * @param {number} expected Degrees
+ * @param {number} tolerance Degrees
+ * @param {string} what Description for the failure message
+ */
+function assertAngle(actual, expected, tolerance, what) {
+  const diff = ((actual - expected + 540) % 360) - 180;
+  assert.ok(Math.abs(diff) <= tolerance, `${what}: ${actual.toFixed(4)}° vs ${expected.toFixed(4)}° (off by ${diff.toFixed(4)}°)`);
+}
+
+/**
+ * Asserts a position matches a reference given as a vector
+ * @param {Object} actual Position from eclipticPosition
+ * @param {Object} expected Reference position, same frame and units
+ * @param {number} angleTolerance Degrees
+ * @param {number} distanceTolerance Same units as the positions
+ * @param {string} what Description for failure messages
+ */
+function assertPosition(actual, expected, angleTolerance, distanceTolerance, what) {
+  const a = spherical(actual);
+  const e = spherical(expected);
+  assertAngle(a.lon, e.lon, angleTolerance, `${what} longitude`);
+  assertAngle(a.lat, e.lat, angleTolerance, `${what} latitude`);
+  assert.ok(Math.abs(a.dist - e.dist) <= distanceTolerance, `${what} distance: ${a.dist} vs ${e.dist}`);
+}
+
+/**
+ * Turns a longitude and latitude referred to the mean ecliptic and equinox
+ * of date into J2000, as the ephemeris gives them
+ * @param {number} jd Julian date
+ * @param {number} lon Longitude of date (degrees)
+ * @param {number} lat Latitude (degrees)
+ * @param {number} dist Distance
+ * @returns {{x: number, y: number, z: number}} Ecliptic J2000 position
+ */
+function fromDate(jd, lon, lat, dist) {
+  const l = (lon - PRECESSION * (jd - J2000) / 36525) * Math.PI / 180;
+  const b = lat * Math.PI / 180;
+  return { x: dist * Math.cos(b) * Math.cos(l), y: dist * Math.cos(b) * Math.sin(l), z: dist * Math.sin(b) };
+}
+
+// JPL Horizons, geometric positions in the ecliptic J2000 frame at J2000.0
+test('planets and Moon at J2000.0 match JPL Horizons', () => {
+  assertPosition(eclipticPosition('earth', J2000), { x: -0.17713, y: 0.96724, z: 0 },
+    PLANET_TOLERANCE, AU_TOLERANCE, 'Earth');
+  assertPosition(eclipticPosition('mars', J2000), { x: 1.39071, y: -0.01339, z: -0.03447 },
+    PLANET_TOLERANCE, AU_TOLERANCE, 'Mars');
+  assertPosition(eclipticPosition('moon', J2000), { x: -291608, y: -274980, z: 36271 },
+    MOON_TOLERANCE, MOON_DISTANCE_TOLERANCE, 'Moon');
+});
+
+// Meeus, Astronomical Algorithms (2nd ed.), example 33.a: L0, B0, R0
+test('Earth on 1992 December 20 matches Meeus', () => {
+  const jd = 2448976.5;
+  assertPosition(eclipticPosition('earth', jd), fromDate(jd, 88.35704, 0.00014, 0.983824),
+    PLANET_TOLERANCE, AU_TOLERANCE, 'Earth');
+});
+
+// Meeus, Astronomical Algorithms (2nd ed.), example 47.a (geometric, before nutation)
+test('Moon on 1992 April 12 matches Meeus', () => {
+  const jd = 2448724.5;
+  assertPosition(eclipticPosition('moon', jd), fromDate(jd, 133.162655, -3.229126, 368409.7),
+    MOON_TOLERANCE, MOON_DISTANCE_TOLERANCE, 'Moon');
+});
+
+// The 2003 opposition of Mars, 2003 August 28 17:56 UT, when Mars seen from
+// Earth was opposite the Sun, and its closest approach the day before,
+// 2003 August 27 9:51 UT, at 55.758 million km
+test('Mars in August 2003 matches the published opposition', () => {
+  const geocentric = jd => {
+    const earth = eclipticPosition('earth', jd);
+    const mars = eclipticPosition('mars', jd);
+    return { x: mars.x - earth.x, y: mars.y - earth.y, z: mars.z - earth.z };
+  };
+
+  const opposition = julianDate(Date.UTC(2003, 7, 28, 17, 56));
+  assertAngle(spherical(geocentric(opposition)).lon, spherical(eclipticPosition('earth', opposition)).lon,
+    PLANET_TOLERANCE, 'Mars opposite the Sun');
+
+  const closest = julianDate(Date.UTC(2003, 7, 27, 9, 51));
+  const dist = spherical(geocentric(closest)).dist;
+  assert.ok(Math.abs(dist - 55758006 / AU_KM) <= AU_TOLERANCE, `Mars distance ${dist} AU`);
+});